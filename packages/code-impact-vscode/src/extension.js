@@ -32,6 +32,8 @@ async function loadCore() {
             traverseImpact: core.traverseImpact,
             getChangedFiles: core.getChangedFiles,
             getChangedRanges: core.getChangedRanges,
+            loadConfig: core.loadConfig,
+            filterSeeds: core.filterSeeds,
         };
     } catch (err) {
         output.appendLine(`loadCore failed: ${err?.stack || err}`);
@@ -39,16 +41,6 @@ async function loadCore() {
     }
 }
 
-function filterTargets(list = []) {
-    return list.filter((p) => {
-        const norm = p.replace(/\\/g, '/');
-        if (norm.includes('/.code-impact/')) return false;
-        if (norm.endsWith('impact.txt')) return false;
-        if (norm.endsWith('impactCode.txt')) return false;
-        return true;
-    });
-}
-
 function showInfo(message) {
     vscode.window.setStatusBarMessage(message, 3000);
 }
@@ -146,8 +138,9 @@ function findGraphPath(root) {
 }
 
 async function runBuildGraph(root) {
-    const { buildGraph, saveGraph } = await loadCore();
-    // 优先使用选定目录下的 src，若不存在则使用选定目录本身
+    const { buildGraph, saveGraph, loadConfig } = await loadCore();
+    const { config } = await loadConfig({ projectRoot: root });
+    // 配置了 roots 时以配置为准；否则优先使用选定目录下的 src，若不存在则使用选定目录本身
     let roots = [];
     const candidate = path.join(root, 'src');
     try {
@@ -159,7 +152,7 @@ async function runBuildGraph(root) {
     if (roots.length === 0) {
         roots = ['.'];
     }
-    const graph = await buildGraph({ projectRoot: root, roots });
+    const graph = await buildGraph({ projectRoot: root, config, roots: config.roots ? undefined : roots });
     const out = await saveGraph(graph, root);
     vscode.window.showInformationMessage(`依赖图已生成: ${out}`);
 }
@@ -370,7 +363,7 @@ function getNonce() {
 }
 
 async function runImpact({ gitRange, depth = 4, includeDynamic = true, mermaid = true, root, direction = 'reverse', settings = {} }) {
-    const { loadGraph, traverseImpact, getChangedFiles, getChangedRanges } = await loadCore();
+    const { loadGraph, traverseImpact, getChangedFiles, getChangedRanges, loadConfig, filterSeeds } = await loadCore();
     const workspaceRoot = root || await ensureWorkspaceFolder();
     let targets = [];
     if (gitRange) {
@@ -379,13 +372,19 @@ async function runImpact({ gitRange, depth = 4, includeDynamic = true, mermaid =
         vscode.window.showWarningMessage('未输入比较范围');
         return 
     }
-    targets = filterTargets(targets);
+    const { config } = await loadConfig({ projectRoot: workspaceRoot });
+    targets = filterSeeds(targets, { projectRoot: workspaceRoot, config });
     if (targets.length === 0) {
         vscode.window.showWarningMessage('未找到有效的变更文件（可能被忽略规则过滤）。');
         return;
     }
 
     const graph = await loadGraph(workspaceRoot);
+    if (graph.staleness?.stale) {
+        const reason = graph.staleness.reasons.join('；');
+        output.appendLine(`依赖图可能已过期：${reason}`);
+        vscode.window.showWarningMessage(`依赖图可能已过期（${reason}），建议重新生成依赖图。`);
+    }
     let rangesMap = {};
     try {
         rangesMap = getChangedRanges({ projectRoot: workspaceRoot, range: gitRange, files: targets });
@@ -517,7 +516,17 @@ async function handleAI(payload = {}) {
             attached++;
         }
 
-        const graphJson = graphPath ? await readJsonIfExists(graphPath) : null;
+        // graph.txt 为压缩格式，交给核心解码后只发送节点与边
+        let graphJson = null;
+        if (graphPath) {
+            try {
+                const { loadGraph } = await loadCore();
+                const graph = await loadGraph(root, { checkStale: false });
+                graphJson = { meta: graph.meta, nodes: graph.nodes, edges: graph.edges };
+            } catch {
+                graphJson = await readJsonIfExists(graphPath);
+            }
+        }
         if (graphJson) {
             inputsObj.AST = toStr(graphJson);
             attached++;
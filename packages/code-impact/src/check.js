@@ -0,0 +1,100 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { createPathMatcher } from './config.js';
+import { packageName } from './doctor.js';
+import { ownerPackage } from './resolvers/workspace.js';
+
+export const CHECK_BASELINE_VERSION = 1;
+
+const SEVERITIES = ['error', 'warn'];
+
+function toList(value) {
+    if (value === undefined) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// 规则：from 命中的文件不得依赖 to 命中的目标（allow 为例外）；
+// 只写 allow 不写 to 时表示 from 只能依赖 allow 中的目标
+function normalizeRule(rule, index, projectRoot) {
+    const label = rule?.name || `rules[${index}]`;
+    if (!rule || typeof rule !== 'object') throw new Error(`规则 ${label} 必须是对象`);
+    const from = toList(rule.from);
+    const to = toList(rule.to);
+    const allow = toList(rule.allow);
+    if (!from.length) throw new Error(`规则 ${label} 缺少 from`);
+    if (!to.length && !allow.length) throw new Error(`规则 ${label} 需要 to 或 allow`);
+    const severity = rule.severity || 'error';
+    if (!SEVERITIES.includes(severity)) throw new Error(`规则 ${label} 的 severity 只能是 ${SEVERITIES.join(' / ')}`);
+    return {
+        name: label,
+        severity,
+        message: rule.message,
+        kinds: toList(rule.kinds),
+        allowSamePackage: !!rule.allowSamePackage,
+        isFrom: createPathMatcher(from, projectRoot),
+        isTo: to.length ? createPathMatcher(to, projectRoot) : null,
+        isAllowed: createPathMatcher(allow, projectRoot),
+    };
+}
+
+// pkg:vue/dist/x 同时以 pkg:vue、vue/dist/x、vue 参与匹配，规则里写包名即可
+function targetCandidates(id) {
+    if (!id.startsWith('pkg:')) return [id];
+    const spec = id.slice('pkg:'.length);
+    const name = packageName(spec);
+    return [id, `pkg:${name}`, spec, name];
+}
+
+function violationKey(v) {
+    return `${v.rule}\n${v.from}\n${v.to}`;
+}
+
+// 返回违规列表 [{ rule, severity, from, to, kind, spec, message, known? }]；baseline 中的标记 known
+export function checkRules(graph, rules = [], { projectRoot = process.cwd(), baseline } = {}) {
+    const normalized = rules.map((rule, i) => normalizeRule(rule, i, projectRoot));
+    const packages = graph.meta?.packages || [];
+    const known = new Set((baseline || []).map(violationKey));
+    const seen = new Set();
+    const violations = [];
+
+    (graph.edges || []).forEach((edge) => {
+        // 无法解析的本地路径由 doctor 报告
+        if (edge.unresolved || edge.from.startsWith('route:')) return;
+        const targets = targetCandidates(edge.to);
+        normalized.forEach((rule) => {
+            if (!rule.isFrom(edge.from)) return;
+            if (rule.kinds.length && !rule.kinds.includes(edge.kind)) return;
+            if (targets.some(rule.isAllowed)) return;
+            if (rule.isTo && !targets.some(rule.isTo)) return;
+            if (rule.allowSamePackage) {
+                const owner = ownerPackage(edge.from, packages);
+                if (owner && owner === ownerPackage(edge.to, packages)) return;
+            }
+            const violation = { rule: rule.name, severity: rule.severity, from: edge.from, to: edge.to, kind: edge.kind };
+            if (edge.spec || edge.pattern) violation.spec = edge.spec || edge.pattern;
+            if (rule.message) violation.message = rule.message;
+            const key = violationKey(violation);
+            if (seen.has(key)) return;
+            seen.add(key);
+            if (known.has(key)) violation.known = true;
+            violations.push(violation);
+        });
+    });
+    return violations.sort((a, b) => a.rule.localeCompare(b.rule) || a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+}
+
+export async function readCheckBaseline(file) {
+    if (!fs.existsSync(file)) return null;
+    const data = JSON.parse(await fsp.readFile(file, 'utf8'));
+    if (data?.version !== CHECK_BASELINE_VERSION || !Array.isArray(data.violations)) {
+        throw new Error(`无法识别的规则基线文件: ${file}`);
+    }
+    return data.violations;
+}
+
+export async function writeCheckBaseline(file, violations) {
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    const data = { version: CHECK_BASELINE_VERSION, violations: violations.map(({ rule, from, to }) => ({ rule, from, to })) };
+    await fsp.writeFile(file, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+}
@@ -4,17 +4,34 @@ import chalk from 'chalk';
 import Table from 'cli-table3';
 import path from 'path';
 import { buildGraph, saveGraph, loadGraph } from './graph.js';
-import { traverseImpact } from './impact.js';
-import { getChangedFiles } from './git.js';
+import { traverseImpact, traverseSymbolImpact, traverseDeps, findImpactPaths, affectedRoutes, findBrokenImporters } from './impact.js';
+import { getChangedFiles, getChangedEntries, getChangedRanges, getBaseRef } from './git.js';
+import { watchGraph } from './watch.js';
+import { initConfig } from './init.js';
+import { diagnoseGraph } from './doctor.js';
+import { findCycles, readCyclesBaseline, writeCyclesBaseline } from './cycles.js';
+import { findUnused } from './unused.js';
+import { findAffectedTests } from './tests.js';
+import { findAffectedPackages } from './packages.js';
+import { checkRules, readCheckBaseline, writeCheckBaseline } from './check.js';
+import { buildGraphAtRef, diffGraphs } from './diff.js';
+import { loadConfig, filterSeeds, DEFAULT_TEST_GLOBS, DEFAULT_GLOBAL_FILES } from './config.js';
 
 const program = new Command();
-program.name('code-impact').description('前端依赖图与影响分析 CLI');
+program
+    .name('code-impact')
+    .description('前端依赖图与影响分析 CLI')
+    .option('--config <path>', '配置文件路径，默认查找 code-impact.config.* 或 package.json 的 codeImpact 字段');
 
 function parseList(val) {
     return val.split(',').map((v) => v.trim()).filter(Boolean);
 }
 
-function toMermaid({ seeds, results, edges, direction = 'forward' }) {
+function edgeLabel(e) {
+    return e.dynamic && e.kind !== 'dynamic' ? `${e.kind}, dynamic` : e.kind;
+}
+
+function toMermaid({ seeds, results, edges, direction = 'forward', labels = false }) {
     const ids = new Set();
     [...(seeds || []), ...(results || []).map((r) => r.id)].forEach((id) => {
         if (id) ids.add(id);
@@ -41,8 +58,8 @@ function toMermaid({ seeds, results, edges, direction = 'forward' }) {
         const from = idMap.get(forwardFrom);
         const to = idMap.get(forwardTo);
         if (!from || !to) return;
-        const dyn = e.dynamic ? '|dynamic|' : '';
-        lines.push(`  ${from} -->${dyn} ${to}`);
+        const label = labels ? edgeLabel(e) : e.dynamic ? 'dynamic' : '';
+        lines.push(`  ${from} -->${label ? `|${label}|` : ''} ${to}`);
     });
     const seedIds = (seeds || []).map((s) => idMap.get(s)).filter(Boolean);
     const impactIds = (results || []).map((r) => idMap.get(r.id)).filter(Boolean);
@@ -53,26 +70,52 @@ function toMermaid({ seeds, results, edges, direction = 'forward' }) {
     return lines.join('\n');
 }
 
-function printImpact({ seeds, results, edges }, format = 'table', { direction = 'forward' } = {}) {
+function printImpact({ seeds, results, edges, brokenImporters = [] }, format = 'table', { direction = 'forward' } = {}) {
+    const routes = affectedRoutes(results);
     if (format === 'json') {
-        console.log(JSON.stringify({ seeds, results, edges }, null, 2));
+        const out = { seeds, results, edges };
+        if (brokenImporters.length) out.brokenImporters = brokenImporters;
+        if (routes.length) out.routes = routes;
+        console.log(JSON.stringify(out, null, 2));
         return;
     }
     if (format === 'mermaid') {
         console.log(toMermaid({ seeds, results, edges, direction }));
         return;
     }
+    if (format === 'routes') {
+        routes.forEach((r) => console.log(r.route));
+        return;
+    }
+    const modules = results.filter((r) => r.type !== 'route');
+    const withSymbols = modules.some((r) => r.symbols);
     const table = new Table({
-        head: ['距离', '类型', '路径/包'],
-        colWidths: [8, 10, 80],
+        head: withSymbols ? ['距离', '类型', '路径/包', '受影响导出'] : ['距离', '类型', '路径/包'],
+        colWidths: withSymbols ? [8, 10, 60, 30] : [8, 10, 80],
         wordWrap: true,
     });
-    results.forEach((r) => {
+    modules.forEach((r) => {
         const typeColor =
             r.type === 'pkg' ? chalk.cyan : r.type === 'style' ? chalk.magenta : r.type === 'asset' ? chalk.yellow : chalk.green;
-        table.push([r.distance, typeColor(r.type), r.id]);
+        const row = [r.distance, typeColor(r.type), r.boundary ? `${r.id} ${chalk.gray('(边界)')}` : r.id];
+        if (withSymbols) row.push((r.symbols || []).join(', '));
+        table.push(row);
     });
     console.log(table.toString());
+    if (brokenImporters.length) {
+        console.log(chalk.red(`\n高风险：引用了已删除/重命名文件（${brokenImporters.length}）`));
+        const brokenTable = new Table({ head: ['文件', '引用的旧路径', '变更'], colWidths: [40, 40, 34], wordWrap: true });
+        brokenImporters.forEach((b) => {
+            brokenTable.push([chalk.red(b.id), b.removed, b.status === 'R' ? `重命名为 ${b.renamedTo}` : '已删除']);
+        });
+        console.log(brokenTable.toString());
+    }
+    if (routes.length) {
+        console.log(chalk.cyan(`\n受影响路由（${routes.length}）`));
+        const routeTable = new Table({ head: ['距离', '路由', '经由组件'], colWidths: [8, 40, 50], wordWrap: true });
+        routes.forEach((r) => routeTable.push([r.distance, chalk.blue(r.route), r.via || '']));
+        console.log(routeTable.toString());
+    }
 }
 
 program
@@ -80,6 +123,10 @@ program
     .description('扫描源码并生成依赖图')
     .option('--root <paths>', '源码根目录，逗号分隔，多包可用', parseList)
     .option('--webpack-config <path>', 'webpack 配置文件路径，默认尝试 webpack.config.*')
+    .option('--vite-config <path>', 'vite/rollup 配置文件路径，默认尝试 vite.config.* 与 rollup.config.*')
+    .option('--style-load-paths <paths>', 'Sass/Less 的 includePaths/loadPaths，逗号分隔', parseList)
+    .option('--full', '忽略增量缓存，强制全量重建', false)
+    .option('--workers <n>', '并行解析的线程数，默认 CPU 核数，1 表示单线程', (v) => Number(v))
     .action(async (opts) => {
         const projectRoot = process.cwd();
         try {
@@ -87,6 +134,11 @@ program
                 projectRoot,
                 roots: opts.root,
                 webpackConfig: opts.webpackConfig,
+                viteConfig: opts.viteConfig,
+                styleLoadPaths: opts.styleLoadPaths,
+                full: !!opts.full,
+                workers: opts.workers,
+                configFile: program.opts().config,
             });
             const out = await saveGraph(graph, projectRoot);
             console.log(chalk.green(`依赖图已生成: ${out}`));
@@ -99,13 +151,12 @@ program
         }
     });
 
-function filterTargets(list = []) {
-    return list.filter((p) => {
-        const norm = p.replace(/\\/g, '/');
-        if (norm.includes('/.code-impact/')) return false;
-        if (norm.endsWith('/impact.mmd') || norm.endsWith('\\impact.mmd') || norm.endsWith('impact.mmd')) return false;
-        return true;
-    });
+// 提示写到 stderr，避免污染 json/mermaid 输出
+function warnIfStale(graph) {
+    const { stale, reasons = [], modified = [], missing = [] } = graph.staleness || {};
+    if (!stale) return;
+    console.error(chalk.yellow(`依赖图可能已过期：${reasons.join('；')}，建议重新运行 build-graph`));
+    [...modified, ...missing].slice(0, 5).forEach((f) => console.error(chalk.gray(`  - ${f}`)));
 }
 
 program
@@ -114,21 +165,30 @@ program
     .option('--files <paths>', '逗号分隔的文件列表', parseList)
     .option('--git-diff [range]', '使用 git diff 范围（默认 HEAD~1..HEAD）', 'HEAD~1..HEAD')
     .option('--depth <n>', '向上追踪深度', (v) => Number(v), Infinity)
-    .option('--format <fmt>', '输出格式 table|json|mermaid', 'table')
+    .option('--format <fmt>', '输出格式 table|json|mermaid|routes', 'table')
     .option('--edge-direction <dir>', 'mermaid 边方向 forward|reverse（默认 forward）', 'forward')
     .option('--include-dynamic', '包含动态 import 影响', false)
+    .option('--symbols', '按变更行定位到导出，仅追踪使用了这些导出的文件', false)
+    .option('--packages', '按 workspace 包汇总影响，并输出拓扑构建顺序（table|json）', false)
+    .option('--no-base-graph', '不为删除/重命名的文件构建基准引用的依赖图')
     .action(async (opts) => {
         const projectRoot = process.cwd();
         let targets = [];
+        let entries = [];
         if (opts.files && opts.files.length) {
             targets = opts.files.map((p) => path.resolve(projectRoot, p));
         } else if (opts.gitDiff) {
-            targets = getChangedFiles({ projectRoot, range: opts.gitDiff });
+            entries = getChangedEntries({ projectRoot, range: opts.gitDiff });
+            // 删除与重命名的旧路径同样作为种子，依赖图仍包含旧路径时可直接追踪
+            targets = Array.from(new Set(entries.flatMap((e) => (e.oldPath ? [e.path, e.oldPath] : [e.path]))));
             if (targets.length === 0) {
                 console.log(chalk.yellow('git diff 未找到变更文件'));
                 return;
             }
-            const msg = `使用 git diff 范围 ${opts.gitDiff}，变更文件 ${targets.length} 个`;
+            const deleted = entries.filter((e) => e.status === 'D').length;
+            const renamed = entries.filter((e) => e.status === 'R').length;
+            const extra = deleted || renamed ? `（删除 ${deleted} 个，重命名 ${renamed} 个）` : '';
+            const msg = `使用 git diff 范围 ${opts.gitDiff}，变更文件 ${entries.length} 个${extra}`;
             // 避免污染 mermaid/json 输出，进度信息走 stderr
             if (opts.format === 'table') {
                 console.log(chalk.cyan(msg));
@@ -141,25 +201,580 @@ program
             return;
         }
 
-        targets = filterTargets(targets);
-        if (targets.length === 0) {
-            console.error(chalk.yellow('过滤后无有效变更文件（已忽略 .code-impact 与 impact.mmd）'));
-            return;
+        try {
+            const { config } = await loadConfig({ projectRoot, configFile: program.opts().config });
+            targets = filterSeeds(targets, { projectRoot, config });
+            if (targets.length === 0) {
+                console.error(chalk.yellow('过滤后无有效变更文件（已按 ignoreSeeds 忽略）'));
+                return;
+            }
+            const graph = await loadGraph(projectRoot);
+            warnIfStale(graph);
+
+            // 当前图由工作区构建，已删除的旧路径不在图中，需要基准引用的图才能找到其导入方
+            const removed = entries.filter((e) => e.status === 'D' || e.status === 'R');
+            let brokenImporters = [];
+            if (removed.length) {
+                let baseGraph = null;
+                const missing = removed.some((e) => !graph.nodes[path.relative(projectRoot, e.oldPath ?? e.path)]);
+                if (missing && opts.baseGraph) {
+                    // 浅克隆、引用不存在或基准版本无法构建时，只用当前图继续分析
+                    try {
+                        const baseRef = getBaseRef({ projectRoot, range: opts.gitDiff });
+                        console.error(chalk.cyan(`构建 ${baseRef} 的依赖图以定位已删除/重命名文件的引用方…`));
+                        baseGraph = await buildGraphAtRef({ projectRoot, ref: baseRef, buildOptions: { configFile: program.opts().config } });
+                    } catch (err) {
+                        console.error(chalk.yellow(`无法构建基准依赖图，跳过已删除/重命名文件的引用方检测: ${err.message}`));
+                    }
+                }
+                brokenImporters = findBrokenImporters(graph, entries, { baseGraph });
+                targets = Array.from(new Set([...targets, ...brokenImporters.map((b) => path.resolve(projectRoot, b.id))]));
+            }
+
+            const traverseOpts = {
+                includeDynamic: !!opts.includeDynamic,
+                depth: Number.isFinite(opts.depth) ? opts.depth : Infinity,
+            };
+            const { results, edges, seeds: normalizedSeeds } = opts.symbols
+                ? traverseSymbolImpact(graph, targets, {
+                    ...traverseOpts,
+                    ranges: getChangedRanges({ projectRoot, range: opts.gitDiff, files: targets }),
+                })
+                : traverseImpact(graph, targets, traverseOpts);
+            if (opts.packages) {
+                printPackages(await findAffectedPackages({ seeds: normalizedSeeds, results }, { projectRoot }), opts.format);
+                return;
+            }
+            printImpact({ seeds: normalizedSeeds, results, edges, brokenImporters }, opts.format, { direction: opts.edgeDirection });
+        } catch (err) {
+            console.error(chalk.red(`分析失败: ${err.message}`));
+            process.exitCode = 1;
         }
+    });
+
+program
+    .command('why')
+    .description('解释变更文件为什么会影响某个文件：输出最短的依赖链路')
+    .argument('<changed>', '变更文件')
+    .argument('<impacted>', '受影响文件')
+    .option('-k, --paths <n>', '输出前 k 条最短链路', (v) => Number(v), 1)
+    .option('--include-dynamic', '允许经过动态 import', false)
+    .option('--format <fmt>', '输出格式 text|json|mermaid', 'text')
+    .action(async (changed, impacted, opts) => {
+        const projectRoot = process.cwd();
+        try {
+            const graph = await loadGraph(projectRoot);
+            warnIfStale(graph);
+            const k = Number.isInteger(opts.paths) && opts.paths > 0 ? opts.paths : 1;
+            const includeDynamic = !!opts.includeDynamic;
+            const report = findImpactPaths(graph, path.resolve(projectRoot, changed), path.resolve(projectRoot, impacted), { k, includeDynamic });
+            if (opts.format === 'json') {
+                console.log(JSON.stringify(report, null, 2));
+                return;
+            }
+            if (!report.paths.length) {
+                const viaDynamic = !includeDynamic && findImpactPaths(graph, report.from, report.to, { includeDynamic: true }).paths.length;
+                console.error(chalk.yellow(`${report.to} 不受 ${report.from} 影响${viaDynamic ? '（仅经由动态 import 可达，可加 --include-dynamic）' : ''}`));
+                process.exitCode = 1;
+                return;
+            }
+            if (opts.format === 'mermaid') {
+                const edgeMap = new Map();
+                report.paths.forEach((p) => p.edges.forEach((e) => edgeMap.set(`${e.from}=>${e.to}`, e)));
+                console.log(toMermaid({ seeds: [report.from], results: [{ id: report.to }], edges: Array.from(edgeMap.values()), direction: 'reverse', labels: true }));
+                return;
+            }
+            report.paths.forEach((p, i) => {
+                console.log(chalk.cyan(`链路 ${i + 1}（${p.edges.length} 步）`));
+                console.log(`  ${chalk.yellow(p.nodes[0])}`);
+                p.edges.forEach((e) => {
+                    console.log(`  ${chalk.gray(`← ${edgeLabel(e)}`)}  ${e.from === report.to ? chalk.red(e.from) : e.from}`);
+                });
+            });
+            if (report.paths.length < k) console.log(chalk.gray(`共 ${report.paths.length} 条链路`));
+        } catch (err) {
+            console.error(chalk.red(`查询失败: ${err.message}`));
+            process.exitCode = 1;
+        }
+    });
+
+const PACKAGE_REASONS = { changed: '直接修改', imports: '引用了变更文件', dependent: '依赖了受影响包' };
+
+function printPackages(report, format = 'table') {
+    if (format === 'json') {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+    if (!report.packages.length) {
+        console.log(chalk.green('没有受影响的 workspace 包'));
+        return;
+    }
+    const table = new Table({ head: ['顺序', '层级', '包', '目录', '原因'], colWidths: [6, 6, 30, 30, 48], wordWrap: true });
+    report.packages.forEach((p, i) => {
+        const reason = `${PACKAGE_REASONS[p.reason]}${p.via ? `：${p.via}` : ''}`;
+        table.push([i + 1, p.level, p.cycle ? chalk.red(`${p.name}（循环依赖）`) : chalk.green(p.name), p.dir, reason]);
+    });
+    console.log(table.toString());
+    console.log(chalk.cyan(`受影响包 ${report.packages.length} 个，按层级顺序构建；同层可并行`));
+}
+
+function printDiagnosis(report) {
+    const section = (title, color, head, rows) => {
+        if (!rows.length) return;
+        console.log(color(`\n${title}（${rows.length}）`));
+        const table = new Table({ head, wordWrap: true, colWidths: head.length === 3 ? [36, 40, 44] : [40, 80] });
+        rows.forEach((r) => table.push(r));
+        console.log(table.toString());
+    };
+    const importers = (list) => (list.length > 3 ? `${list.slice(0, 3).join('\n')}\n… 共 ${list.length} 处` : list.join('\n'));
+
+    section('本地路径解析失败', chalk.red, ['引用', '所在文件', '建议'], report.local.map((r) => [r.spec, r.from, r.hint]));
+    section('已声明但未安装', chalk.yellow, ['依赖', '引用方'], report.missing.map((r) => [r.name, importers(r.importers)]));
+    section('未在 package.json 声明', chalk.yellow, ['依赖', '引用方'], report.undeclared.map((r) => [`${r.name}${r.installed ? chalk.gray('（已安装，可能是幽灵依赖）') : ''}`, importers(r.importers)]));
+    section('解析错误', chalk.red, ['文件', '错误'], report.errors.map((r) => [r.file, r.error]));
 
+    const summary = `已安装 ${report.installed.length}，未安装 ${report.missing.length}，未声明 ${report.undeclared.length}，本地解析失败 ${report.local.length}，解析错误 ${report.errors.length}`;
+    console.log(report.problems ? chalk.red(`\n发现 ${report.problems} 个问题：${summary}`) : chalk.green(`未发现问题：${summary}`));
+}
+
+program
+    .command('deps')
+    .description('查询文件的正向依赖闭包（它依赖了哪些模块）')
+    .argument('<files...>', '起始文件')
+    .option('--depth <n>', '向下追踪深度', (v) => Number(v), Infinity)
+    .option('--kind <kinds>', '只沿这些边类型遍历，逗号分隔（import,reexport,dynamic,style,asset,glob,pkg…）', parseList)
+    .option('--type <types>', '只输出这些节点类型，逗号分隔（code,style,asset,pkg）', parseList)
+    .option('--stop-at-pkg', '遇到 pkg: 节点或其他 workspace 包时停止展开', false)
+    .option('--include-dynamic', '包含动态 import', false)
+    .option('--format <fmt>', '输出格式 table|json|mermaid', 'table')
+    .action(async (files, opts) => {
+        const projectRoot = process.cwd();
         try {
             const graph = await loadGraph(projectRoot);
-            const { results, edges, seeds: normalizedSeeds } = traverseImpact(graph, targets, {
+            warnIfStale(graph);
+            const { results, edges, seeds } = traverseDeps(graph, files.map((p) => path.resolve(projectRoot, p)), {
                 includeDynamic: !!opts.includeDynamic,
                 depth: Number.isFinite(opts.depth) ? opts.depth : Infinity,
+                kinds: opts.kind,
+                types: opts.type,
+                stopAtPkg: !!opts.stopAtPkg,
             });
-            printImpact({ seeds: normalizedSeeds, results, edges }, opts.format, { direction: opts.edgeDirection });
+            const missing = seeds.filter((id) => !graph.nodes[id]);
+            if (missing.length) console.error(chalk.yellow(`依赖图中不存在：${missing.join(', ')}`));
+            printImpact({ seeds, results, edges }, opts.format);
+        } catch (err) {
+            console.error(chalk.red(`查询失败: ${err.message}`));
+            process.exitCode = 1;
+        }
+    });
+
+program
+    .command('doctor')
+    .description('检查无法解析的导入、缺失或未声明的依赖以及解析错误')
+    .option('--format <fmt>', '输出格式 table|json', 'table')
+    .action(async (opts) => {
+        const projectRoot = process.cwd();
+        try {
+            const graph = await loadGraph(projectRoot);
+            warnIfStale(graph);
+            const report = diagnoseGraph(graph, { projectRoot });
+            if (opts.format === 'json') {
+                console.log(JSON.stringify(report, null, 2));
+            } else {
+                printDiagnosis(report);
+            }
+            if (report.problems) process.exitCode = 1;
+        } catch (err) {
+            console.error(chalk.red(`检查失败: ${err.message}`));
+            process.exitCode = 1;
+        }
+    });
+
+const DEFAULT_CYCLES_BASELINE = 'code-impact.cycles.json';
+
+program
+    .command('cycles')
+    .description('检测循环依赖，可配合基线只报告新增的环')
+    .option('--include-type-only', '包含仅类型导入（import type）', false)
+    .option('--include-dynamic', '包含动态 import', false)
+    .option('--baseline <path>', `基线文件，只有不在基线中的环才算失败（默认 ${DEFAULT_CYCLES_BASELINE}）`)
+    .option('--update-baseline', '把当前所有环写入基线文件', false)
+    .option('--format <fmt>', '输出格式 table|json', 'table')
+    .action(async (opts) => {
+        const projectRoot = process.cwd();
+        try {
+            const graph = await loadGraph(projectRoot);
+            warnIfStale(graph);
+            const cycleOpts = { includeTypeOnly: !!opts.includeTypeOnly, includeDynamic: !!opts.includeDynamic };
+            const baselineFile = path.resolve(projectRoot, opts.baseline || DEFAULT_CYCLES_BASELINE);
+            if (opts.updateBaseline) {
+                const cycles = findCycles(graph, cycleOpts);
+                await writeCyclesBaseline(baselineFile, cycles);
+                console.log(chalk.green(`已写入 ${cycles.length} 个环到基线: ${baselineFile}`));
+                return;
+            }
+            const baseline = await readCyclesBaseline(baselineFile);
+            if (opts.baseline && !baseline) {
+                console.error(chalk.yellow(`基线文件不存在: ${baselineFile}，将报告全部环`));
+            }
+            const cycles = findCycles(graph, { ...cycleOpts, baseline });
+            const reported = cycles.filter((c) => !c.known);
+
+            if (opts.format === 'json') {
+                console.log(JSON.stringify({ total: cycles.length, cycles: reported }, null, 2));
+            } else if (!reported.length) {
+                console.log(chalk.green(cycles.length ? `共 ${cycles.length} 个环，均已在基线中` : '未发现循环依赖'));
+            } else {
+                const table = new Table({ head: ['#', '文件数', '示例路径'], colWidths: [5, 8, 107], wordWrap: true });
+                reported.forEach((c, i) => table.push([i + 1, c.size, c.path.join(' →\n')]));
+                console.log(table.toString());
+                console.log(chalk.red(baseline ? `共 ${cycles.length} 个环，其中 ${reported.length} 个不在基线中` : `发现 ${reported.length} 个循环依赖`));
+            }
+            if (reported.length) process.exitCode = 1;
+        } catch (err) {
+            console.error(chalk.red(`检测失败: ${err.message}`));
+            process.exitCode = 1;
+        }
+    });
+
+// 增加的边为绿色实线，删除的边为红色虚线，新环与扇入增长的文件高亮
+function graphDiffMermaid(delta) {
+    const idMap = new Map();
+    const nodeId = (id) => {
+        if (!idMap.has(id)) idMap.set(id, `n${idMap.size}`);
+        return idMap.get(id);
+    };
+    const links = [];
+    delta.addedEdges.forEach((e) => links.push({ line: `${nodeId(e.from)} -->|+ ${e.kind}| ${nodeId(e.to)}`, color: '#06d6a0' }));
+    delta.removedEdges.forEach((e) => links.push({ line: `${nodeId(e.from)} -.->|- ${e.kind}| ${nodeId(e.to)}`, color: '#ef476f' }));
+    const cycleNodes = new Set(delta.newCycles.flatMap((c) => c.path));
+    delta.fanInGrowth.forEach((f) => nodeId(f.id));
+
+    const lines = ['graph LR'];
+    idMap.forEach((n, id) => lines.push(`  ${n}["${String(id).replace(/"/g, '\\"')}"]`));
+    links.forEach((l) => lines.push(`  ${l.line}`));
+    links.forEach((l, i) => lines.push(`  linkStyle ${i} stroke:${l.color},stroke-width:2px;`));
+    lines.push('  classDef cycle fill:#ef476f,color:#fff;');
+    lines.push('  classDef fanin fill:#ffd166,stroke:#d49b00;');
+    const cycleIds = Array.from(cycleNodes).filter((id) => idMap.has(id)).map((id) => idMap.get(id));
+    const faninIds = delta.fanInGrowth.map((f) => idMap.get(f.id));
+    if (faninIds.length) lines.push(`  class ${faninIds.join(',')} fanin;`);
+    if (cycleIds.length) lines.push(`  class ${cycleIds.join(',')} cycle;`);
+    return lines.join('\n');
+}
+
+function printGraphDiff(delta, format) {
+    if (format === 'json') {
+        console.log(JSON.stringify(delta, null, 2));
+        return;
+    }
+    if (format === 'mermaid') {
+        console.log(graphDiffMermaid(delta));
+        return;
+    }
+    const section = (title, color, head, rows, colWidths) => {
+        if (!rows.length) return;
+        console.log(color(`\n${title}（${rows.length}）`));
+        const table = new Table({ head, colWidths, wordWrap: true });
+        rows.forEach((r) => table.push(r));
+        console.log(table.toString());
+    };
+    const edgeRows = (list) => list.map((e) => [e.from, e.to, edgeLabel(e)]);
+    section('新增依赖边', chalk.green, ['文件', '依赖', '类型'], edgeRows(delta.addedEdges), [50, 50, 14]);
+    section('删除的依赖边', chalk.gray, ['文件', '依赖', '类型'], edgeRows(delta.removedEdges), [50, 50, 14]);
+    section('新引入的 npm 包', chalk.yellow, ['包', '引用方'], delta.addedPackages.map((p) => [p.name, p.importers.join('\n')]), [40, 74]);
+    section('新增循环依赖', chalk.red, ['文件数', '示例路径'], delta.newCycles.map((c) => [c.size, c.path.join(' →\n')]), [8, 106]);
+    section('扇入明显增长', chalk.magenta, ['文件', '之前', '之后'], delta.fanInGrowth.map((f) => [f.id, f.before, f.after]), [90, 10, 10]);
+    const summary = [
+        `边 +${delta.addedEdges.length} / -${delta.removedEdges.length}`,
+        `文件 +${delta.addedFiles.length} / -${delta.removedFiles.length}`,
+        `npm 包 +${delta.addedPackages.length} / -${delta.removedPackages.length}`,
+        `新环 ${delta.newCycles.length}`,
+        `扇入增长 ${delta.fanInGrowth.length}`,
+    ].join('，');
+    console.log(chalk.cyan(`\n${summary}`));
+}
+
+program
+    .command('graph-diff')
+    .description('比较两个 git 引用的依赖图结构差异（省略 head 时与当前工作区比较）')
+    .argument('<base>', '基准引用，如 origin/main')
+    .argument('[head]', '对比引用，默认当前工作区')
+    .option('--fan-in <n>', '扇入增加多少个引用方才报告', (v) => Number(v), 5)
+    .option('--workers <n>', '并行解析的线程数', (v) => Number(v))
+    .option('--format <fmt>', '输出格式 table|json|mermaid', 'table')
+    .action(async (base, head, opts) => {
+        const projectRoot = process.cwd();
+        const buildOptions = { configFile: program.opts().config, workers: opts.workers };
+        try {
+            // 基准与对比均在临时工作区构建，不修改当前工作区
+            console.error(chalk.cyan(`构建 ${base} 的依赖图…`));
+            const baseGraph = await buildGraphAtRef({ projectRoot, ref: base, buildOptions });
+            console.error(chalk.cyan(`构建 ${head || '当前工作区'} 的依赖图…`));
+            const headGraph = head
+                ? await buildGraphAtRef({ projectRoot, ref: head, buildOptions })
+                : await buildGraph({ ...buildOptions, projectRoot });
+            const delta = diffGraphs(baseGraph, headGraph, { fanInDelta: Number.isFinite(opts.fanIn) ? opts.fanIn : 5 });
+            printGraphDiff(delta, opts.format);
+        } catch (err) {
+            console.error(chalk.red(`比较失败: ${err.message}`));
+            process.exitCode = 1;
+        }
+    });
+
+const DEFAULT_CHECK_BASELINE = 'code-impact.check.json';
+
+program
+    .command('check')
+    .description('按配置文件中的 rules 检查架构约束与禁止的依赖')
+    .option('--baseline <path>', `基线文件，只有不在基线中的违规才算失败（默认 ${DEFAULT_CHECK_BASELINE}）`)
+    .option('--update-baseline', '把当前所有违规写入基线文件', false)
+    .option('--format <fmt>', '输出格式 table|json', 'table')
+    .action(async (opts) => {
+        const projectRoot = process.cwd();
+        try {
+            const { config, file } = await loadConfig({ projectRoot, configFile: program.opts().config });
+            if (!config.rules?.length) {
+                console.error(chalk.yellow(`${file ? `配置文件 ${file}` : '未找到配置文件，'}没有定义 rules`));
+                process.exitCode = 1;
+                return;
+            }
+            const graph = await loadGraph(projectRoot);
+            warnIfStale(graph);
+            const baselineFile = path.resolve(projectRoot, opts.baseline || DEFAULT_CHECK_BASELINE);
+            if (opts.updateBaseline) {
+                const violations = checkRules(graph, config.rules, { projectRoot });
+                await writeCheckBaseline(baselineFile, violations);
+                console.log(chalk.green(`已写入 ${violations.length} 个违规到基线: ${baselineFile}`));
+                return;
+            }
+            const baseline = await readCheckBaseline(baselineFile);
+            if (opts.baseline && !baseline) {
+                console.error(chalk.yellow(`基线文件不存在: ${baselineFile}，将报告全部违规`));
+            }
+            const violations = checkRules(graph, config.rules, { projectRoot, baseline });
+            const reported = violations.filter((v) => !v.known);
+            const errors = reported.filter((v) => v.severity === 'error');
+
+            if (opts.format === 'json') {
+                console.log(JSON.stringify({ total: violations.length, violations: reported }, null, 2));
+            } else if (!reported.length) {
+                console.log(chalk.green(violations.length ? `共 ${violations.length} 个违规，均已在基线中` : '未发现违规'));
+            } else {
+                const table = new Table({ head: ['规则', '文件', '引用', '类型'], colWidths: [24, 40, 46, 10], wordWrap: true });
+                reported.forEach((v) => {
+                    const rule = v.severity === 'error' ? chalk.red(v.rule) : chalk.yellow(v.rule);
+                    const target = v.spec && v.spec !== v.to ? `${v.spec}\n→ ${v.to}` : v.to;
+                    table.push([v.message ? `${rule}\n${chalk.gray(v.message)}` : rule, v.from, target, v.kind]);
+                });
+                console.log(table.toString());
+                const summary = `${errors.length} 个错误，${reported.length - errors.length} 个警告`;
+                console.log(chalk.red(baseline ? `共 ${violations.length} 个违规，其中 ${reported.length} 个不在基线中（${summary}）` : `发现 ${reported.length} 个违规（${summary}）`));
+            }
+            if (errors.length) process.exitCode = 1;
+        } catch (err) {
+            console.error(chalk.red(`检查失败: ${err.message}`));
+            process.exitCode = 1;
+        }
+    });
+
+// 含空格等特殊字符的路径加单引号，输出可直接粘贴到 shell
+function shellQuote(arg) {
+    return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
+const TEST_RUNNERS = {
+    jest: (files) => ['npx', 'jest', ...(files.length ? ['--runTestsByPath', ...files] : [])],
+    vitest: (files) => ['npx', 'vitest', 'run', ...files],
+    playwright: (files) => ['npx', 'playwright', 'test', ...files],
+};
+
+program
+    .command('affected-tests')
+    .description('根据变更文件选出需要运行的测试')
+    .option('--files <paths>', '逗号分隔的文件列表', parseList)
+    .option('--git-diff [range]', '使用 git diff 范围（默认 HEAD~1..HEAD）', 'HEAD~1..HEAD')
+    .option('--tests <globs>', '测试文件 glob，逗号分隔（默认取配置文件 tests）', parseList)
+    .option('--no-dynamic', '不沿动态 import 遍历')
+    .option('--format <fmt>', '输出格式 list|json|jest|vitest|playwright', 'list')
+    .action(async (opts) => {
+        const projectRoot = process.cwd();
+        if (!['list', 'json', ...Object.keys(TEST_RUNNERS)].includes(opts.format)) {
+            console.error(chalk.red(`不支持的输出格式: ${opts.format}`));
+            process.exitCode = 1;
+            return;
+        }
+        try {
+            const { config } = await loadConfig({ projectRoot, configFile: program.opts().config });
+            let targets = opts.files?.length
+                ? opts.files.map((p) => path.resolve(projectRoot, p))
+                : getChangedFiles({ projectRoot, range: opts.gitDiff });
+            targets = filterSeeds(targets, { projectRoot, config });
+            if (!opts.files?.length) console.error(chalk.cyan(`使用 git diff 范围 ${opts.gitDiff}，变更文件 ${targets.length} 个`));
+            const graph = await loadGraph(projectRoot);
+            warnIfStale(graph);
+            const report = findAffectedTests(graph, targets, {
+                projectRoot,
+                tests: opts.tests || config.tests || DEFAULT_TEST_GLOBS,
+                globalFiles: config.globalFiles || DEFAULT_GLOBAL_FILES,
+                includeDynamic: opts.dynamic,
+            });
+            const files = report.tests.map((t) => t.id);
+
+            if (opts.format === 'json') {
+                console.log(JSON.stringify(report, null, 2));
+                return;
+            }
+            if (report.all) {
+                console.error(chalk.yellow(`全局文件变更（${report.globals.join(', ')}），需运行全部 ${report.allTests.length} 个测试`));
+            } else if (!files.length) {
+                console.error(chalk.green('没有受影响的测试'));
+                return;
+            } else {
+                console.error(chalk.cyan(`受影响测试 ${files.length} / ${report.allTests.length} 个`));
+            }
+            if (opts.format === 'list') {
+                files.forEach((f) => console.log(f));
+                return;
+            }
+            // 全量时直接运行 runner，不逐个列出文件
+            console.log(TEST_RUNNERS[opts.format](report.all ? [] : files).map(shellQuote).join(' '));
         } catch (err) {
             console.error(chalk.red(`分析失败: ${err.message}`));
             process.exitCode = 1;
         }
     });
 
+program
+    .command('unused')
+    .description('从入口与测试文件出发，找出不可达的文件与未使用的依赖')
+    .option('--entry <globs>', '入口文件 glob，逗号分隔（默认取配置文件 entries）', parseList)
+    .option('--tests <globs>', '测试文件 glob，逗号分隔（默认取配置文件 tests）', parseList)
+    .option('--no-dynamic', '不沿动态 import 遍历')
+    .option('--include-dev', '同时检查 devDependencies', false)
+    .option('--format <fmt>', '输出格式 table|json', 'table')
+    .action(async (opts) => {
+        const projectRoot = process.cwd();
+        try {
+            const { config } = await loadConfig({ projectRoot, configFile: program.opts().config });
+            const graph = await loadGraph(projectRoot);
+            warnIfStale(graph);
+            const report = await findUnused(graph, {
+                projectRoot,
+                entries: opts.entry || config.entries || [],
+                tests: opts.tests || config.tests || DEFAULT_TEST_GLOBS,
+                includeDynamic: opts.dynamic,
+                includeDev: !!opts.includeDev,
+            });
+            const fileCount = Object.values(report.files).flat().length;
+            if (opts.format === 'json') {
+                console.log(JSON.stringify(report, null, 2));
+            } else {
+                console.log(chalk.cyan(`入口 ${report.entries.length} 个：${report.entries.slice(0, 5).join(', ')}${report.entries.length > 5 ? ' …' : ''}`));
+                const orphans = new Set(report.orphans);
+                const labels = { code: '源码', style: '样式', asset: '资源' };
+                Object.entries(report.files).forEach(([type, list]) => {
+                    if (!list.length) return;
+                    console.log(chalk.yellow(`\n不可达的${labels[type] || type}（${list.length}）`));
+                    list.forEach((id) => console.log(`  ${id}${orphans.has(id) ? chalk.gray('  (无引用)') : ''}`));
+                });
+                if (report.dependencies.length) {
+                    const table = new Table({ head: ['依赖', '字段', 'package.json'], colWidths: [40, 18, 62], wordWrap: true });
+                    report.dependencies.forEach((d) => table.push([d.name, d.field, d.manifest]));
+                    console.log(chalk.yellow(`\n未被引用的依赖（${report.dependencies.length}）`));
+                    console.log(table.toString());
+                }
+                const summary = `不可达文件 ${fileCount} 个（无引用 ${report.orphans.length} 个），未使用依赖 ${report.dependencies.length} 个`;
+                console.log(fileCount || report.dependencies.length ? chalk.red(`\n${summary}`) : chalk.green('未发现无用文件或依赖'));
+            }
+            if (fileCount || report.dependencies.length) process.exitCode = 1;
+        } catch (err) {
+            console.error(chalk.red(`分析失败: ${err.message}`));
+            process.exitCode = 1;
+        }
+    });
+
+program
+    .command('init')
+    .description('检测框架与打包工具，生成 code-impact.config.mjs')
+    .option('--force', '覆盖已有配置文件', false)
+    .action(async (opts) => {
+        const projectRoot = process.cwd();
+        try {
+            const { file, detected } = await initConfig({ projectRoot, force: !!opts.force });
+            const summary = [detected.framework, detected.bundler].filter(Boolean).join(' + ') || '未识别';
+            console.log(chalk.green(`已生成配置文件: ${file}`));
+            console.log(chalk.gray(`  框架/打包工具：${summary}；源码目录：${detected.roots.join(', ') || '(无)'}`));
+        } catch (err) {
+            console.error(chalk.red(`初始化失败: ${err.message}`));
+            process.exitCode = 1;
+        }
+    });
+
+function timestamp() {
+    return new Date().toTimeString().slice(0, 8);
+}
+
+program
+    .command('watch')
+    .description('构建依赖图并监听文件变化，持续保持 graph.txt 最新')
+    .option('--root <paths>', '源码根目录，逗号分隔，多包可用', parseList)
+    .option('--webpack-config <path>', 'webpack 配置文件路径，默认尝试 webpack.config.*')
+    .option('--vite-config <path>', 'vite/rollup 配置文件路径，默认尝试 vite.config.* 与 rollup.config.*')
+    .option('--style-load-paths <paths>', 'Sass/Less 的 includePaths/loadPaths，逗号分隔', parseList)
+    .option('--workers <n>', '并行解析的线程数，默认 CPU 核数，1 表示单线程', (v) => Number(v))
+    .option('--debounce <ms>', '合并文件事件的等待时间', (v) => Number(v), 300)
+    .option('--impact', '每次更新后对工作区改动重新做影响分析并输出增量', false)
+    .option('--include-dynamic', '影响分析包含动态 import', false)
+    .action(async (opts) => {
+        const projectRoot = process.cwd();
+        try {
+            const watcher = await watchGraph({
+                projectRoot,
+                buildOptions: {
+                    roots: opts.root,
+                    webpackConfig: opts.webpackConfig,
+                    viteConfig: opts.viteConfig,
+                    styleLoadPaths: opts.styleLoadPaths,
+                    workers: opts.workers,
+                    configFile: program.opts().config,
+                },
+                debounce: opts.debounce,
+                impact: !!opts.impact,
+                includeDynamic: !!opts.includeDynamic,
+                onUpdate: ({ graph, changed, duration, impact }) => {
+                    const stats = `${Object.keys(graph.nodes).length} 个节点，${graph.edges.length} 条边，耗时 ${duration}ms`;
+                    if (!changed.length) {
+                        console.log(chalk.green(`[${timestamp()}] 依赖图已生成：${stats}，开始监听…`));
+                    } else {
+                        console.log(chalk.green(`[${timestamp()}] ${changed.length} 个文件变化，已更新依赖图：${stats}`));
+                        changed.slice(0, 10).forEach((f) => console.log(chalk.gray(`  ~ ${f}`)));
+                    }
+                    if (!impact) return;
+                    if (!changed.length) {
+                        console.log(chalk.cyan(`  当前工作区改动影响 ${impact.total} 个文件`));
+                        return;
+                    }
+                    if (!impact.added.length && !impact.removed.length) {
+                        console.log(chalk.gray(`  影响范围无变化（共 ${impact.total} 个）`));
+                        return;
+                    }
+                    console.log(chalk.cyan(`  影响范围：共 ${impact.total} 个，新增 ${impact.added.length}，移除 ${impact.removed.length}`));
+                    impact.added.forEach((id) => console.log(chalk.yellow(`  + ${id}`)));
+                    impact.removed.forEach((id) => console.log(chalk.gray(`  - ${id}`)));
+                },
+                onError: (err) => console.error(chalk.red(`[${timestamp()}] 更新失败: ${err.message}`)),
+            });
+            process.once('SIGINT', async () => {
+                await watcher.close();
+                process.exit(0);
+            });
+        } catch (err) {
+            console.error(chalk.red(`监听失败: ${err.message}`));
+            process.exitCode = 1;
+        }
+    });
+
 program.parseAsync().catch((err) => {
     console.error(chalk.red(err.message));
     process.exit(1);
@@ -0,0 +1,103 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import picomatch from 'picomatch';
+
+export const CONFIG_FILES = ['code-impact.config.js', 'code-impact.config.mjs', 'code-impact.config.cjs', 'code-impact.config.json'];
+const PACKAGE_KEY = 'codeImpact';
+
+// 影响分析的种子里永远不需要的产物
+const DEFAULT_IGNORE_SEEDS = ['**/.code-impact/**', '**/impact.mmd', '**/impact.txt', '**/impactCode.txt'];
+
+export const DEFAULT_TEST_GLOBS = [
+    '**/*.{test,spec}.{js,jsx,ts,tsx,mjs,cjs}',
+    '**/__tests__/**/*.{js,jsx,ts,tsx,mjs,cjs}',
+    '**/{e2e,cypress}/**/*.{js,jsx,ts,tsx,mjs,cjs}',
+];
+
+// 这些文件变化时无法靠依赖图判断影响范围，测试选择退化为全量
+export const DEFAULT_GLOBAL_FILES = [
+    'package.json',
+    '{package-lock.json,yarn.lock,pnpm-lock.yaml}',
+    '**/{tsconfig,jsconfig}*.json',
+    '**/{jest,vitest,vite,playwright,babel}.config.*',
+    '**/.babelrc*',
+    '**/{jest,vitest}.setup.*',
+    '**/{setupTests,test-setup}.*',
+];
+
+const ARRAY_KEYS = ['roots', 'include', 'exclude', 'extensions', 'entries', 'tests', 'globalFiles', 'ignoreSeeds', 'styleLoadPaths', 'rules'];
+const OBJECT_KEYS = ['alias', 'resolvers'];
+
+function validateConfig(config, source) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`配置文件 ${source} 必须导出一个对象`);
+    }
+    ARRAY_KEYS.forEach((key) => {
+        if (config[key] !== undefined && !Array.isArray(config[key])) {
+            throw new Error(`配置项 ${key} 必须是数组（${source}）`);
+        }
+    });
+    OBJECT_KEYS.forEach((key) => {
+        if (config[key] !== undefined && (typeof config[key] !== 'object' || Array.isArray(config[key]))) {
+            throw new Error(`配置项 ${key} 必须是对象（${source}）`);
+        }
+    });
+    if (config.extensions) {
+        config.extensions = config.extensions.map((e) => (e.startsWith('.') ? e : `.${e}`).toLowerCase());
+    }
+    return config;
+}
+
+async function importConfigFile(file) {
+    if (file.endsWith('.json')) return JSON.parse(await fsp.readFile(file, 'utf8'));
+    // watch 模式下配置会被反复加载，按 mtime 绕过模块缓存
+    const { mtimeMs } = await fsp.stat(file);
+    const mod = await import(`${pathToFileURL(file).href}?t=${mtimeMs}`);
+    const config = mod?.default ?? mod;
+    return typeof config === 'function' ? config() : config;
+}
+
+// 返回 { config, file }；未找到配置时 config 为 {}，file 为 null
+export async function loadConfig({ projectRoot = process.cwd(), configFile } = {}) {
+    if (configFile) {
+        const file = path.resolve(projectRoot, configFile);
+        if (!fs.existsSync(file)) throw new Error(`配置文件不存在: ${file}`);
+        return { config: validateConfig(await importConfigFile(file), file), file };
+    }
+    for (const name of CONFIG_FILES) {
+        const file = path.join(projectRoot, name);
+        if (fs.existsSync(file)) {
+            return { config: validateConfig(await importConfigFile(file), file), file };
+        }
+    }
+    const pkgFile = path.join(projectRoot, 'package.json');
+    let pkg = null;
+    try {
+        pkg = JSON.parse(await fsp.readFile(pkgFile, 'utf8'));
+    } catch {
+        // 没有或无法解析 package.json 时视为无配置
+    }
+    if (pkg?.[PACKAGE_KEY]) {
+        return { config: validateConfig(pkg[PACKAGE_KEY], `${pkgFile}#${PACKAGE_KEY}`), file: pkgFile };
+    }
+    return { config: {}, file: null };
+}
+
+function toPosixRel(file, projectRoot) {
+    const rel = path.isAbsolute(file) ? path.relative(projectRoot, file) : file;
+    return rel.split(path.sep).join('/');
+}
+
+export function createPathMatcher(patterns = [], projectRoot = process.cwd()) {
+    if (!patterns.length) return () => false;
+    const isMatch = picomatch(patterns, { dot: true });
+    return (file) => isMatch(toPosixRel(file, projectRoot));
+}
+
+// CLI 与 VS Code 扩展共用的种子过滤
+export function filterSeeds(list = [], { projectRoot = process.cwd(), config = {} } = {}) {
+    const ignored = createPathMatcher([...DEFAULT_IGNORE_SEEDS, ...(config.ignoreSeeds || [])], projectRoot);
+    return list.filter((p) => !ignored(p));
+}
@@ -0,0 +1,134 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+
+export const CYCLES_BASELINE_VERSION = 1;
+
+function buildAdjacency(graph, { includeTypeOnly, includeDynamic }) {
+    const adj = new Map();
+    (graph.edges || []).forEach((e) => {
+        if (e.to.startsWith('pkg:') || e.kind === 'pkg') return;
+        if (e.typeOnly && !includeTypeOnly) return;
+        if (e.dynamic && !includeDynamic) return;
+        if (!adj.has(e.from)) adj.set(e.from, new Set());
+        adj.get(e.from).add(e.to);
+    });
+    const sorted = new Map();
+    Array.from(adj.keys())
+        .sort()
+        .forEach((k) => sorted.set(k, Array.from(adj.get(k)).sort()));
+    return sorted;
+}
+
+// Tarjan 强连通分量（迭代实现，避免深链路爆栈）
+function stronglyConnected(adj) {
+    const index = new Map();
+    const low = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+    let counter = 0;
+
+    for (const start of adj.keys()) {
+        if (index.has(start)) continue;
+        const work = [[start, 0]];
+        index.set(start, counter);
+        low.set(start, counter);
+        counter += 1;
+        stack.push(start);
+        onStack.add(start);
+
+        while (work.length) {
+            const frame = work[work.length - 1];
+            const [v, i] = frame;
+            const next = adj.get(v) || [];
+            if (i < next.length) {
+                frame[1] += 1;
+                const w = next[i];
+                if (!index.has(w)) {
+                    index.set(w, counter);
+                    low.set(w, counter);
+                    counter += 1;
+                    stack.push(w);
+                    onStack.add(w);
+                    work.push([w, 0]);
+                } else if (onStack.has(w)) {
+                    low.set(v, Math.min(low.get(v), index.get(w)));
+                }
+                continue;
+            }
+            work.pop();
+            if (work.length) {
+                const parent = work[work.length - 1][0];
+                low.set(parent, Math.min(low.get(parent), low.get(v)));
+            }
+            if (low.get(v) === index.get(v)) {
+                const component = [];
+                let w;
+                do {
+                    w = stack.pop();
+                    onStack.delete(w);
+                    component.push(w);
+                } while (w !== v);
+                components.push(component);
+            }
+        }
+    }
+    return components;
+}
+
+// 分量内从字典序最小的节点出发，BFS 找回到自身的最短环
+function shortestCycle(start, members, adj) {
+    const prev = new Map([[start, null]]);
+    const queue = [start];
+    while (queue.length) {
+        const v = queue.shift();
+        for (const w of adj.get(v) || []) {
+            if (!members.has(w)) continue;
+            if (w === start) {
+                const path = [start];
+                for (let cur = v; cur !== start; cur = prev.get(cur)) path.splice(1, 0, cur);
+                path.push(start);
+                return path;
+            }
+            if (!prev.has(w)) {
+                prev.set(w, v);
+                queue.push(w);
+            }
+        }
+    }
+    return [start, start];
+}
+
+// 返回按规模降序的环：{ nodes, size, path, known? }。
+// 传入基线时，基线中某个环的子集记为 known；新环的示例路径从基线外的文件出发
+export function findCycles(graph, { includeTypeOnly = false, includeDynamic = false, baseline } = {}) {
+    const adj = buildAdjacency(graph, { includeTypeOnly, includeDynamic });
+    const knownSets = (baseline || []).map((nodes) => new Set(nodes));
+    return stronglyConnected(adj)
+        .filter((c) => c.length > 1 || (adj.get(c[0]) || []).includes(c[0]))
+        .map((c) => {
+            const nodes = c.sort();
+            const members = new Set(nodes);
+            if (!baseline) return { nodes, size: nodes.length, path: shortestCycle(nodes[0], members, adj) };
+            const known = knownSets.some((set) => nodes.every((n) => set.has(n)));
+            const start = (!known && nodes.find((n) => !knownSets.some((set) => set.has(n)))) || nodes[0];
+            return { nodes, size: nodes.length, path: shortestCycle(start, members, adj), known };
+        })
+        .sort((a, b) => b.size - a.size || a.nodes[0].localeCompare(b.nodes[0]));
+}
+
+export async function readCyclesBaseline(file) {
+    if (!fs.existsSync(file)) return null;
+    const data = JSON.parse(await fsp.readFile(file, 'utf8'));
+    if (data?.version !== CYCLES_BASELINE_VERSION || !Array.isArray(data.cycles)) {
+        throw new Error(`无法识别的环基线文件: ${file}`);
+    }
+    return data.cycles;
+}
+
+export async function writeCyclesBaseline(file, cycles) {
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    const data = { version: CYCLES_BASELINE_VERSION, cycles: cycles.map((c) => c.nodes) };
+    await fsp.writeFile(file, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+}
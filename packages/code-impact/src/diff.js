@@ -0,0 +1,111 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import fg from 'fast-glob';
+import { buildGraph } from './graph.js';
+import { findCycles } from './cycles.js';
+import { packageName } from './doctor.js';
+import { getRepoRoot, addWorktree, removeWorktree } from './git.js';
+
+// 未纳入版本库的 node_modules 软链到临时工作区，保证 vite/webpack 配置与 workspace 包可以加载
+async function linkNodeModules(repoRoot, worktree) {
+    const dirs = await fg(['**/node_modules'], {
+        cwd: repoRoot,
+        onlyDirectories: true,
+        deep: 4,
+        ignore: ['**/node_modules/*/**', '**/.git/**'],
+    });
+    for (const rel of dirs) {
+        const target = path.join(worktree, rel);
+        if (fs.existsSync(target) || !fs.existsSync(path.dirname(target))) continue;
+        await fsp.symlink(path.join(repoRoot, rel), target, 'junction');
+    }
+}
+
+// 在系统临时目录检出 ref 并构建依赖图，结束后删除工作区；节点 id 相对 projectRoot，可与当前图直接比较
+export async function buildGraphAtRef({ projectRoot = process.cwd(), ref, buildOptions = {} }) {
+    const repoRoot = getRepoRoot({ projectRoot });
+    const tmp = await fsp.mkdtemp(path.join(os.tmpdir(), 'code-impact-'));
+    const worktree = path.join(tmp, 'tree');
+    let commit = null;
+    try {
+        commit = addWorktree({ projectRoot, ref, dir: worktree });
+        await linkNodeModules(repoRoot, worktree);
+        const root = path.join(worktree, path.relative(repoRoot, path.resolve(projectRoot)));
+        const graph = await buildGraph({ ...buildOptions, projectRoot: root, cache: false });
+        graph.meta.ref = ref;
+        graph.meta.commit = commit;
+        return graph;
+    } finally {
+        if (commit) removeWorktree({ projectRoot, dir: worktree });
+        await fsp.rm(tmp, { recursive: true, force: true });
+    }
+}
+
+function edgeMap(graph) {
+    const map = new Map();
+    (graph.edges || []).forEach((e) => {
+        const key = `${e.from}\n${e.to}`;
+        if (map.has(key)) return;
+        const edge = { from: e.from, to: e.to, kind: e.kind, dynamic: !!e.dynamic };
+        if (e.unresolved) edge.unresolved = e.unresolved;
+        map.set(key, edge);
+    });
+    return map;
+}
+
+function fanIn(graph) {
+    const counts = new Map();
+    edgeMap(graph).forEach(({ to }) => counts.set(to, (counts.get(to) || 0) + 1));
+    return counts;
+}
+
+// 按包名聚合 pkg: 节点及其引用方
+function packageUsage(edges) {
+    const usage = new Map();
+    edges.forEach((e) => {
+        // 无法解析的本地引用不是 npm 包
+        if (e.unresolved) return;
+        if (!e.to.startsWith('pkg:')) return;
+        const name = packageName(e.to.slice('pkg:'.length));
+        if (!usage.has(name)) usage.set(name, new Set());
+        usage.get(name).add(e.from);
+    });
+    return usage;
+}
+
+const byEdge = (a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to);
+
+// 两个依赖图的结构差异：增删的边与文件、新引入/不再使用的 npm 包、新增的环、扇入增长（≥ fanInDelta）的文件
+export function diffGraphs(base, head, { fanInDelta = 5 } = {}) {
+    const baseEdges = edgeMap(base);
+    const headEdges = edgeMap(head);
+    const addedEdges = Array.from(headEdges.entries()).filter(([k]) => !baseEdges.has(k)).map(([, e]) => e).sort(byEdge);
+    const removedEdges = Array.from(baseEdges.entries()).filter(([k]) => !headEdges.has(k)).map(([, e]) => e).sort(byEdge);
+
+    const isFile = (id) => !id.includes(':');
+    const baseNodes = new Set(Object.keys(base.nodes || {}).filter(isFile));
+    const headNodes = new Set(Object.keys(head.nodes || {}).filter(isFile));
+    const addedFiles = Array.from(headNodes).filter((id) => !baseNodes.has(id)).sort();
+    const removedFiles = Array.from(baseNodes).filter((id) => !headNodes.has(id)).sort();
+
+    const basePkgs = packageUsage(Array.from(baseEdges.values()));
+    const headPkgs = packageUsage(Array.from(headEdges.values()));
+    const addedPackages = Array.from(headPkgs.keys())
+        .filter((name) => !basePkgs.has(name))
+        .sort()
+        .map((name) => ({ name, importers: Array.from(headPkgs.get(name)).sort() }));
+    const removedPackages = Array.from(basePkgs.keys()).filter((name) => !headPkgs.has(name)).sort();
+
+    const baseline = findCycles(base).map((c) => c.nodes);
+    const newCycles = findCycles(head, { baseline }).filter((c) => !c.known);
+
+    const baseFanIn = fanIn(base);
+    const fanInGrowth = Array.from(fanIn(head).entries())
+        .map(([id, count]) => ({ id, before: baseFanIn.get(id) || 0, after: count }))
+        .filter((f) => f.after - f.before >= fanInDelta)
+        .sort((a, b) => b.after - b.before - (a.after - a.before) || a.id.localeCompare(b.id));
+
+    return { addedEdges, removedEdges, addedFiles, removedFiles, addedPackages, removedPackages, newCycles, fanInGrowth };
+}
@@ -0,0 +1,123 @@
+import fs from 'fs';
+import path from 'path';
+import { builtinModules } from 'module';
+import { URL_SCHEME_RE } from './extractors/script.js';
+
+const DEP_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+export const LOCAL_HINTS = {
+    relative: '路径不存在，检查文件名、大小写与扩展名',
+    alias: '命中了别名但目标不存在，检查 vite/webpack 或 code-impact.config 中的 alias',
+    tsconfig: '命中了 tsconfig paths 但目标不存在，检查 paths/baseUrl',
+    workspace: '指向 workspace 包但入口不存在，检查该包的 exports/main 字段',
+};
+
+// pkg:@scope/name/sub -> @scope/name
+export function packageName(spec) {
+    const parts = spec.split('/');
+    return spec.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+function typesName(name) {
+    return name.startsWith('@') ? `@types/${name.slice(1).replace('/', '__')}` : `@types/${name}`;
+}
+
+function isBuiltin(name) {
+    return name.startsWith('node:') || builtinModules.includes(name);
+}
+
+function createManifestLookup(projectRoot) {
+    const cache = new Map();
+    const root = path.resolve(projectRoot);
+    const read = (dir) => {
+        if (cache.has(dir)) return cache.get(dir);
+        let declared = null;
+        try {
+            const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+            declared = new Set(DEP_FIELDS.flatMap((f) => Object.keys(manifest[f] || {})));
+        } catch {
+            declared = null;
+        }
+        cache.set(dir, declared);
+        return declared;
+    };
+    // 从引用文件所在目录向上直到项目根，任一 package.json 声明即可
+    return (file, name) => {
+        let dir = path.dirname(path.resolve(root, file));
+        while (dir.startsWith(root)) {
+            const declared = read(dir);
+            if (declared && (declared.has(name) || declared.has(typesName(name)))) return true;
+            if (dir === root) break;
+            dir = path.dirname(dir);
+        }
+        return false;
+    };
+}
+
+// 按 node_modules 查找规则向上找
+function isInstalled(projectRoot, file, name) {
+    let dir = path.dirname(path.resolve(projectRoot, file));
+    for (;;) {
+        if (fs.existsSync(path.join(dir, 'node_modules', name)) || fs.existsSync(path.join(dir, 'node_modules', typesName(name)))) {
+            return true;
+        }
+        const parent = path.dirname(dir);
+        if (parent === dir) return false;
+        dir = parent;
+    }
+}
+
+// 把 pkg: 节点分为 已安装 / 已声明未安装 / 未声明 / 本地解析失败，并附带解析错误
+export function diagnoseGraph(graph, { projectRoot = graph.meta?.projectRoot || process.cwd() } = {}) {
+    const isDeclared = createManifestLookup(projectRoot);
+    const installed = [];
+    const missing = [];
+    const undeclared = [];
+    const local = [];
+    const skipped = [];
+
+    Object.values(graph.nodes || {})
+        .filter((n) => n.type === 'pkg')
+        .sort((a, b) => a.id.localeCompare(b.id))
+        .forEach((node) => {
+            const spec = node.id.slice('pkg:'.length);
+            const incoming = graph.reverse?.[node.id] || [];
+            const importers = Array.from(new Set(incoming.map((e) => e.from))).sort();
+
+            incoming
+                .filter((e) => e.unresolved)
+                .forEach((e) => local.push({ spec, from: e.from, reason: e.unresolved, hint: LOCAL_HINTS[e.unresolved] }));
+            const external = Array.from(new Set(incoming.filter((e) => !e.unresolved).map((e) => e.from))).sort();
+            if (!external.length && incoming.length) return;
+
+            if (URL_SCHEME_RE.test(spec) && !spec.startsWith('node:')) {
+                skipped.push({ spec, importers });
+                return;
+            }
+            const name = packageName(spec);
+            if (isBuiltin(name)) {
+                installed.push({ spec, name, builtin: true, importers: external });
+                return;
+            }
+            const declaredBy = external.filter((f) => isDeclared(f, name));
+            const notInstalled = external.filter((f) => !isInstalled(projectRoot, f, name));
+            if (declaredBy.length < external.length) {
+                undeclared.push({ spec, name, importers: external.filter((f) => !declaredBy.includes(f)), installed: notInstalled.length < external.length });
+            } else if (notInstalled.length) {
+                missing.push({ spec, name, importers: notInstalled });
+            } else {
+                installed.push({ spec, name, importers: external });
+            }
+        });
+
+    const errors = (graph.errors || []).map(({ file, error }) => ({ file, error }));
+    return {
+        installed,
+        missing,
+        undeclared,
+        local,
+        skipped,
+        errors,
+        problems: missing.length + undeclared.length + local.length + errors.length,
+    };
+}
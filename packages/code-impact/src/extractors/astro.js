@@ -0,0 +1,22 @@
+import { parseBlocks } from './sfc.js';
+import { extractScriptBlock } from './script.js';
+import { parseCssDeps, PREPROCESSORS } from './style.js';
+
+// --- frontmatter --- 之后是模板，<script>/<style> 由 Astro 打包处理
+export async function extractAstro(content, file) {
+    const out = { deps: [], errors: [] };
+    const fm = /^\s*---\r?\n([\s\S]*?)\r?\n---/.exec(content);
+    if (fm && fm[1].trim()) extractScriptBlock(fm[1], file, 'astro frontmatter', out);
+    const markup = fm ? content.slice(fm[0].length) : content;
+
+    parseBlocks(markup, 'script').forEach(({ attrs, body }) => {
+        // is:inline 的脚本原样输出，不参与打包
+        if (attrs['is:inline'] !== undefined) return;
+        if (attrs.src) out.deps.push({ spec: attrs.src.trim(), kind: 'import', dynamic: false });
+        if (body.trim()) extractScriptBlock(body, file, 'astro <script>', out);
+    });
+    for (const { attrs, body } of parseBlocks(markup, 'style')) {
+        if (body.trim()) out.deps.push(...(await parseCssDeps(body, file, PREPROCESSORS[`.${attrs.lang}`])));
+    }
+    return out;
+}
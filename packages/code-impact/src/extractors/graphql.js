@@ -0,0 +1,10 @@
+// graphql-tag/loader 的 #import "./fragment.graphql"，以及 graphql-import 的 # import * from "x"
+export async function extractGraphql(content) {
+    const deps = [];
+    const re = /^[ \t]*#[ \t]*import[ \t]+(?:[^'"\n]*?[ \t]+from[ \t]+)?['"]([^'"]+)['"]/gm;
+    let m;
+    while ((m = re.exec(content)) !== null) {
+        deps.push({ spec: m[1], kind: 'import', dynamic: false });
+    }
+    return { deps, errors: [] };
+}
@@ -0,0 +1,67 @@
+import { parseBlocks, parseTemplateAttrs } from './sfc.js';
+import { extractScriptBlock, URL_SCHEME_RE } from './script.js';
+
+// <link rel> 中作为模块请求 / 资源处理的类型
+const LINK_KINDS = {
+    stylesheet: 'style',
+    modulepreload: 'import',
+    icon: 'asset',
+    'apple-touch-icon': 'asset',
+    manifest: 'asset',
+    preload: 'asset',
+    prefetch: 'asset',
+};
+
+const ASSET_ATTRS = {
+    img: ['src', 'srcset'],
+    source: ['src', 'srcset'],
+    video: ['src', 'poster'],
+    audio: ['src'],
+    track: ['src'],
+};
+
+// HTML 中的地址按页面相对路径理解：裸路径补 ./，/ 开头相对 vite root（由 graph 解析）
+export function htmlSpec(url) {
+    const trimmed = (url || '').trim().replace(/[?#].*$/, '');
+    if (!trimmed || URL_SCHEME_RE.test(trimmed) || trimmed.startsWith('//')) return null;
+    // 模板变量（%BASE_URL%、<%= %>、{{ }}）无法静态确定
+    if (/[%{}<>]/.test(trimmed)) return null;
+    if (trimmed.startsWith('/') || trimmed.startsWith('.')) return trimmed;
+    return `./${trimmed}`;
+}
+
+export async function extractHtml(content, file) {
+    const out = { deps: [], errors: [] };
+    const { deps } = out;
+    const markup = content.replace(/<!--[\s\S]*?-->/g, '');
+
+    parseBlocks(markup, 'script').forEach(({ attrs, body }) => {
+        const spec = attrs.src ? htmlSpec(attrs.src) : null;
+        if (spec) deps.push({ spec, kind: 'import', dynamic: false });
+        // 只有 module 脚本可以 import
+        if (!attrs.src && attrs.type === 'module' && body.trim()) extractScriptBlock(body, file, 'html <script>', out);
+    });
+
+    const tagRe = /<(link|img|source|video|audio|track)\b([^>]*?)\/?>/gi;
+    let m;
+    while ((m = tagRe.exec(markup)) !== null) {
+        const tag = m[1].toLowerCase();
+        const attrs = parseTemplateAttrs(m[2] || '');
+        if (tag === 'link') {
+            const rel = (attrs.rel || '').toLowerCase().split(/\s+/).find((r) => LINK_KINDS[r]);
+            const spec = rel ? htmlSpec(attrs.href) : null;
+            if (spec) deps.push({ spec, kind: LINK_KINDS[rel], dynamic: false });
+            continue;
+        }
+        ASSET_ATTRS[tag].forEach((name) => {
+            const value = attrs[name];
+            if (!value) return;
+            const urls = name === 'srcset' ? value.split(',').map((part) => part.trim().split(/\s+/)[0]) : [value];
+            urls.forEach((url) => {
+                const spec = htmlSpec(url);
+                if (spec) deps.push({ spec, kind: 'asset', dynamic: false });
+            });
+        });
+    }
+    return out;
+}
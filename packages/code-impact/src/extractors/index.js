@@ -0,0 +1,56 @@
+import path from 'path';
+import { extractScript } from './script.js';
+import { extractStyle } from './style.js';
+import { extractVue, extractComponentsDts, COMPONENTS_DTS } from './vue.js';
+import { extractHtml } from './html.js';
+import { extractSvelte } from './svelte.js';
+import { extractAstro } from './astro.js';
+import { extractMdx } from './mdx.js';
+import { extractGraphql } from './graphql.js';
+
+// 按扩展名分发的依赖提取器；extract(content, file) 返回 { deps, errors, symbols?, globalComponents?, routes? }
+const extractors = [];
+
+// 后注册的优先，可覆盖内置实现；test(file) 用于扩展名之外的匹配
+function addExtractor({ name, extensions = [], test, extract }, builtin) {
+    if (typeof extract !== 'function') {
+        throw new Error(`extractor ${name} 缺少 extract 函数`);
+    }
+    extractors.unshift({ name, extensions: extensions.map((e) => e.toLowerCase()), test, extract, builtin });
+}
+
+export function registerExtractor(extractor) {
+    addExtractor(extractor, false);
+}
+
+export function findExtractor(file) {
+    const ext = path.extname(file).toLowerCase();
+    return extractors.find((e) => (e.test ? e.test(file) : e.extensions.includes(ext))) || null;
+}
+
+// worker 线程只加载内置提取器，外部注册的提取器需在主线程执行
+export function isBuiltinExtractor(file) {
+    const extractor = findExtractor(file);
+    return !extractor || extractor.builtin;
+}
+
+export function extractorExtensions() {
+    return Array.from(new Set(extractors.flatMap((e) => e.extensions)));
+}
+
+// 提取文件中的依赖声明（只依赖文件内容，可缓存）
+export async function extractDeps(file, content) {
+    const extractor = findExtractor(file);
+    if (!extractor) return { deps: [], errors: [] };
+    return extractor.extract(content, file);
+}
+
+addExtractor({ name: 'script', extensions: ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'], extract: extractScript }, true);
+addExtractor({ name: 'style', extensions: ['.css', '.scss', '.sass', '.less'], extract: extractStyle }, true);
+addExtractor({ name: 'vue', extensions: ['.vue'], extract: extractVue }, true);
+addExtractor({ name: 'html', extensions: ['.html', '.htm'], extract: extractHtml }, true);
+addExtractor({ name: 'svelte', extensions: ['.svelte'], extract: extractSvelte }, true);
+addExtractor({ name: 'astro', extensions: ['.astro'], extract: extractAstro }, true);
+addExtractor({ name: 'mdx', extensions: ['.mdx'], extract: extractMdx }, true);
+addExtractor({ name: 'graphql', extensions: ['.graphql', '.gql'], extract: extractGraphql }, true);
+addExtractor({ name: 'components-dts', test: (file) => path.basename(file) === COMPONENTS_DTS, extract: extractComponentsDts }, true);
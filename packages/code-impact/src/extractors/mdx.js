@@ -0,0 +1,27 @@
+import { extractScriptBlock } from './script.js';
+import { htmlSpec } from './html.js';
+
+// 去掉代码块，避免示例代码里的 import 被当成依赖
+function stripFences(content) {
+    return content.replace(/^(\s*)(`{3,}|~{3,})[^\n]*\n[\s\S]*?^\1\2[^\n]*$/gm, '');
+}
+
+// MDX 的 ESM 只出现在以 import/export 开头的段落中
+export async function extractMdx(content, file) {
+    const out = { deps: [], errors: [] };
+    const text = stripFences(content);
+    const esm = text
+        .split(/\r?\n\s*\r?\n/)
+        .filter((para) => /^(import|export)\s/.test(para.trimStart()))
+        .join('\n\n');
+    if (esm.trim()) extractScriptBlock(esm, file, 'mdx esm', out);
+
+    // ![alt](./image.png) 形式的本地图片
+    const imgRe = /!\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^)]*["'])?\s*\)/g;
+    let m;
+    while ((m = imgRe.exec(text)) !== null) {
+        const spec = htmlSpec(m[1]);
+        if (spec && !spec.startsWith('/')) out.deps.push({ spec, kind: 'asset', dynamic: false });
+    }
+    return out;
+}
@@ -0,0 +1,360 @@
+import { parse } from '@typescript-eslint/typescript-estree';
+import { collectModuleSymbols } from '../symbols.js';
+import { toPascalCase } from './sfc.js';
+
+export const PARSE_OPTIONS = {
+    jsx: true,
+    loc: true,
+    range: false,
+    sourceType: 'module',
+    ecmaVersion: 'latest',
+};
+
+// import 的绑定：default / 命名 / 命名空间（'*'）
+function importSpecifiers(node) {
+    return (node.specifiers || []).map((s) => {
+        if (s.type === 'ImportDefaultSpecifier') return { imported: 'default', local: s.local.name };
+        if (s.type === 'ImportNamespaceSpecifier') return { imported: '*', local: s.local.name };
+        return { imported: s.imported.name ?? s.imported.value, local: s.local.name };
+    });
+}
+
+// new URL('./x', import.meta.url) 中的静态路径
+function importMetaUrlSpec(node) {
+    if (node?.type !== 'NewExpression' || node.callee?.name !== 'URL') return null;
+    const [arg, base] = node.arguments || [];
+    const isMetaUrl =
+        base?.type === 'MemberExpression' &&
+        base.object?.type === 'MetaProperty' &&
+        base.property?.name === 'url';
+    if (!isMetaUrl || arg?.type !== 'Literal' || typeof arg.value !== 'string') return null;
+    return arg.value;
+}
+
+function literalArg(node) {
+    const arg = node.arguments?.[0];
+    return arg?.type === 'Literal' && typeof arg.value === 'string' ? arg.value : null;
+}
+
+function isImportMeta(node) {
+    return node?.type === 'MetaProperty' && node.meta?.name === 'import' && node.property?.name === 'meta';
+}
+
+function stringList(node) {
+    if (node?.type === 'Literal' && typeof node.value === 'string') return [node.value];
+    if (node?.type === 'ArrayExpression') {
+        return node.elements.filter((el) => el?.type === 'Literal' && typeof el.value === 'string').map((el) => el.value);
+    }
+    return [];
+}
+
+function objectFlag(node, name) {
+    if (node?.type !== 'ObjectExpression') return undefined;
+    const prop = node.properties.find((p) => p.type === 'Property' && (p.key?.name ?? p.key?.value) === name);
+    return prop?.value?.type === 'Literal' ? prop.value.value : undefined;
+}
+
+// `./locales/${lang}.json` 或 './x/' + name + '.js' 转为 ./locales/*.json
+function templatePattern(node) {
+    if (node?.type === 'TemplateLiteral' && node.expressions.length) {
+        return node.quasis.map((q) => q.value.cooked ?? q.value.raw).join('*');
+    }
+    if (node?.type === 'BinaryExpression' && node.operator === '+') {
+        const left = node.left.type === 'Literal' && typeof node.left.value === 'string' ? node.left.value : templatePattern(node.left) ?? '*';
+        const right = node.right.type === 'Literal' && typeof node.right.value === 'string' ? node.right.value : templatePattern(node.right) ?? '*';
+        const joined = `${left}${right}`.replace(/\*+/g, '*');
+        return joined.includes('*') ? joined : null;
+    }
+    return null;
+}
+
+// 至少需要静态目录前缀，否则无法展开
+function usablePattern(pattern) {
+    if (!pattern) return false;
+    const dir = pattern.slice(0, pattern.indexOf('*'));
+    return dir.includes('/') && !URL_SCHEME_RE.test(pattern);
+}
+
+const WORKER_CTORS = ['Worker', 'SharedWorker'];
+const MOCK_OBJECTS = ['jest', 'vi'];
+const MOCK_METHODS = ['mock', 'doMock', 'unmock', 'requireActual', 'requireMock', 'importActual', 'importMock'];
+// http:、data: 等带协议的地址不是模块依赖
+export const URL_SCHEME_RE = /^[a-z][a-z0-9+.-]*:/i;
+
+// import type / export type，或全部绑定都带 type 修饰，编译后会被擦除
+function isTypeOnly(node) {
+    if (node.importKind === 'type' || node.exportKind === 'type') return true;
+    const specs = node.specifiers || [];
+    return specs.length > 0 && specs.every((s) => s.importKind === 'type' || s.exportKind === 'type');
+}
+
+function withTypeOnly(dep, node) {
+    if (isTypeOnly(node)) dep.typeOnly = true;
+    return dep;
+}
+
+export function collectCodeEdges(ast, fromFile) {
+    const deps = [];
+    const handled = new Set();
+    const stack = [ast];
+    while (stack.length) {
+        const node = stack.pop();
+        if (!node || typeof node !== 'object') continue;
+
+        if (node.type === 'ImportDeclaration' && node.source?.value) {
+            deps.push(withTypeOnly({ spec: node.source.value, kind: 'import', dynamic: false, specifiers: importSpecifiers(node) }, node));
+        }
+        if (node.type === 'ExportAllDeclaration' && node.source?.value) {
+            const exported = node.exported ? node.exported.name ?? node.exported.value : '*';
+            deps.push(withTypeOnly({ spec: node.source.value, kind: 'reexport', dynamic: false, specifiers: [], reexports: [{ imported: '*', exported }] }, node));
+        }
+        if (node.type === 'ExportNamedDeclaration' && node.source?.value) {
+            const reexports = (node.specifiers || []).map((s) => ({
+                imported: s.local.name ?? s.local.value,
+                exported: s.exported.name ?? s.exported.value,
+            }));
+            deps.push(withTypeOnly({ spec: node.source.value, kind: 'reexport', dynamic: false, specifiers: [], reexports }, node));
+        }
+        if (node.type === 'TSImportEqualsDeclaration' && node.moduleReference?.type === 'TSExternalModuleReference') {
+            const expr = node.moduleReference.expression;
+            if (expr?.type === 'Literal' && typeof expr.value === 'string') {
+                deps.push({ spec: expr.value, kind: 'import-equals', dynamic: false });
+            }
+        }
+        if (node.type === 'CallExpression' && node.callee?.name === 'require' && node.arguments?.length === 1) {
+            const arg = node.arguments[0];
+            if (arg.type === 'Literal' && typeof arg.value === 'string') {
+                deps.push({ spec: arg.value, kind: 'import', dynamic: false });
+            }
+        }
+        if (node.type === 'CallExpression' && node.callee?.type === 'MemberExpression' && !node.callee.computed) {
+            const obj = node.callee.object?.name;
+            const prop = node.callee.property?.name;
+            const spec = literalArg(node);
+            if (spec && obj === 'require' && prop === 'resolve') {
+                deps.push({ spec, kind: 'require-resolve', dynamic: false });
+            } else if (spec && MOCK_OBJECTS.includes(obj) && MOCK_METHODS.includes(prop)) {
+                deps.push({ spec, kind: 'mock', dynamic: false });
+            }
+        }
+        if (node.type === 'ImportExpression' && node.source) {
+            if (node.source.type === 'Literal' && typeof node.source.value === 'string') {
+                deps.push({ spec: node.source.value, kind: 'dynamic', dynamic: true });
+            } else {
+                const pattern = templatePattern(node.source);
+                if (usablePattern(pattern)) {
+                    deps.push({ spec: pattern, kind: 'glob', dynamic: true, glob: { patterns: [pattern] } });
+                }
+            }
+        }
+        if (node.type === 'CallExpression' && node.callee?.name === 'require' && node.arguments?.length === 1) {
+            const pattern = templatePattern(node.arguments[0]);
+            if (usablePattern(pattern)) {
+                deps.push({ spec: pattern, kind: 'glob', dynamic: false, glob: { patterns: [pattern] } });
+            }
+        }
+        // import.meta.glob('./pages/**/*.vue', { eager: true })
+        if (
+            node.type === 'CallExpression' &&
+            node.callee?.type === 'MemberExpression' &&
+            isImportMeta(node.callee.object) &&
+            ['glob', 'globEager'].includes(node.callee.property?.name)
+        ) {
+            const patterns = stringList(node.arguments?.[0]);
+            const eager = node.callee.property.name === 'globEager' || objectFlag(node.arguments?.[1], 'eager') === true;
+            if (patterns.length) {
+                deps.push({ spec: patterns[0], kind: 'glob', dynamic: !eager, glob: { patterns } });
+            }
+        }
+        // require.context('./views', true, /\.vue$/, 'lazy')
+        if (
+            node.type === 'CallExpression' &&
+            node.callee?.type === 'MemberExpression' &&
+            node.callee.object?.name === 'require' &&
+            node.callee.property?.name === 'context'
+        ) {
+            const [dirArg, recArg, reArg, modeArg] = node.arguments || [];
+            if (dirArg?.type === 'Literal' && typeof dirArg.value === 'string') {
+                const recursive = recArg?.type === 'Literal' ? recArg.value !== false : true;
+                const regex = reArg?.regex ? { source: reArg.regex.pattern, flags: reArg.regex.flags } : null;
+                const dir = dirArg.value.replace(/\/+$/, '') || '.';
+                deps.push({
+                    spec: dir,
+                    kind: 'glob',
+                    dynamic: modeArg?.value === 'lazy',
+                    glob: { patterns: [`${dir}/${recursive ? '**/' : ''}*`], regex, base: dir },
+                });
+            }
+        }
+        if (node.type === 'NewExpression' && WORKER_CTORS.includes(node.callee?.name)) {
+            const arg = node.arguments?.[0];
+            const spec = importMetaUrlSpec(arg) ?? literalArg(node);
+            if (spec && !URL_SCHEME_RE.test(spec)) {
+                deps.push({ spec, kind: 'worker', dynamic: false });
+                handled.add(arg);
+            }
+        }
+        if (node.type === 'NewExpression' && !handled.has(node)) {
+            const spec = importMetaUrlSpec(node);
+            if (spec && !URL_SCHEME_RE.test(spec)) {
+                deps.push({ spec, kind: 'url', dynamic: false });
+            }
+        }
+
+        for (const key of Object.keys(node)) {
+            const child = node[key];
+            if (Array.isArray(child)) {
+                for (let i = child.length - 1; i >= 0; i -= 1) {
+                    stack.push(child[i]);
+                }
+            } else if (child && typeof child === 'object') {
+                stack.push(child);
+            }
+        }
+    }
+    return deps;
+}
+
+function importedNames(ast) {
+    const imports = new Map();
+    (ast.body || []).forEach((stmt) => {
+        if (stmt.type !== 'ImportDeclaration') return;
+        stmt.specifiers.forEach((s) => imports.set(s.local.name, stmt.source.value));
+    });
+    return imports;
+}
+
+// 节点内部的 import('x')，如 () => import('./X.vue') 与 defineAsyncComponent(...)
+function innerImportSpecs(node) {
+    const specs = [];
+    const inner = [node];
+    while (inner.length) {
+        const n = inner.pop();
+        if (!n || typeof n !== 'object') continue;
+        if (n.type === 'ImportExpression' && n.source?.type === 'Literal' && typeof n.source.value === 'string') specs.push(n.source.value);
+        Object.values(n).forEach((v) => (Array.isArray(v) ? inner.push(...v) : v && typeof v === 'object' && inner.push(v)));
+    }
+    return specs;
+}
+
+// app.component('Name', Comp) / Vue.component('name', Comp) 形式的全局注册
+export function collectGlobalComponents(ast) {
+    const imports = importedNames(ast);
+    const found = [];
+    const stack = [ast];
+    while (stack.length) {
+        const node = stack.pop();
+        if (!node || typeof node !== 'object') continue;
+        if (
+            node.type === 'CallExpression' &&
+            node.callee?.type === 'MemberExpression' &&
+            node.callee.property?.name === 'component' &&
+            node.arguments?.length === 2 &&
+            node.arguments[0].type === 'Literal' &&
+            typeof node.arguments[0].value === 'string'
+        ) {
+            const comp = node.arguments[1];
+            const spec = (comp.type === 'Identifier' ? imports.get(comp.name) : null) || innerImportSpecs(comp)[0];
+            if (spec) found.push({ name: toPascalCase(node.arguments[0].value), spec });
+        }
+        for (const key of Object.keys(node)) {
+            const child = node[key];
+            if (Array.isArray(child)) child.forEach((c) => stack.push(c));
+            else if (child && typeof child === 'object' && key !== 'loc' && key !== 'range') stack.push(child);
+        }
+    }
+    return found;
+}
+
+function propertyOf(node, name) {
+    return node.properties.find((p) => p.type === 'Property' && !p.computed && (p.key?.name ?? p.key?.value) === name)?.value;
+}
+
+// 带字符串 path，且有 component(s)/children/redirect 之一的对象视为 vue-router 路由记录
+function isRouteRecord(node) {
+    if (node?.type !== 'ObjectExpression') return false;
+    const routePath = propertyOf(node, 'path');
+    if (routePath?.type !== 'Literal' || typeof routePath.value !== 'string') return false;
+    return ['component', 'components', 'children', 'redirect'].some((key) => propertyOf(node, key));
+}
+
+function joinRoutePath(parent, child) {
+    if (child.startsWith('/')) return child;
+    if (!child) return parent || '/';
+    return `${parent.replace(/\/+$/, '')}/${child}`;
+}
+
+// vue-router 路由表：{ path, specs }，嵌套路由同时带上各级父路由的组件
+export function collectRouteRecords(ast) {
+    const imports = importedNames(ast);
+    const componentSpecs = (node) => {
+        if (!node) return [];
+        if (node.type === 'Identifier') return imports.has(node.name) ? [imports.get(node.name)] : [];
+        if (node.type === 'ObjectExpression') {
+            // components: { default: A, sidebar: B }
+            return node.properties.flatMap((p) => (p.type === 'Property' ? componentSpecs(p.value) : []));
+        }
+        return innerImportSpecs(node);
+    };
+    const routes = new Map();
+    const visit = (record, parentPath, parentSpecs) => {
+        const routePath = joinRoutePath(parentPath, propertyOf(record, 'path').value);
+        const specs = [...parentSpecs, ...componentSpecs(propertyOf(record, 'component')), ...componentSpecs(propertyOf(record, 'components'))];
+        if (specs.length > parentSpecs.length) {
+            const list = routes.get(routePath) || [];
+            specs.forEach((spec) => !list.includes(spec) && list.push(spec));
+            routes.set(routePath, list);
+        }
+        const children = propertyOf(record, 'children');
+        (children?.type === 'ArrayExpression' ? children.elements : []).forEach((child) => {
+            if (isRouteRecord(child)) visit(child, routePath, specs);
+        });
+    };
+
+    const stack = [ast];
+    while (stack.length) {
+        const node = stack.pop();
+        if (!node || typeof node !== 'object') continue;
+        if (isRouteRecord(node)) {
+            visit(node, '', []);
+            continue;
+        }
+        for (const key of Object.keys(node)) {
+            const child = node[key];
+            if (Array.isArray(child)) child.forEach((c) => stack.push(c));
+            else if (child && typeof child === 'object' && key !== 'loc' && key !== 'range') stack.push(child);
+        }
+    }
+    return Array.from(routes.entries()).map(([routePath, specs]) => ({ path: routePath, specs }));
+}
+
+// JS/TS 文件：依赖、全局组件注册、路由表与导出级符号
+export async function extractScript(content, file) {
+    const deps = [];
+    const errors = [];
+    try {
+        const ast = parse(content, PARSE_OPTIONS);
+        deps.push(...collectCodeEdges(ast, file));
+        const globalComponents = collectGlobalComponents(ast);
+        const routes = collectRouteRecords(ast);
+        const out = { deps, errors, symbols: collectModuleSymbols(ast) };
+        if (globalComponents.length) out.globalComponents = globalComponents;
+        if (routes.length) out.routes = routes;
+        return out;
+    } catch (err) {
+        errors.push(`parse failed: ${err.message}`);
+    }
+    return { deps, errors };
+}
+
+// SFC/HTML 中的内联脚本块，只收集依赖
+export function extractScriptBlock(block, file, label, out) {
+    try {
+        const ast = parse(block, PARSE_OPTIONS);
+        out.deps.push(...collectCodeEdges(ast, file));
+        return ast;
+    } catch (err) {
+        out.errors.push(`parse ${label} failed: ${err.message}`);
+        return null;
+    }
+}
@@ -0,0 +1,31 @@
+// 单文件组件（Vue/Svelte/Astro）与 HTML 共用的标签/属性解析
+
+// 支持 xlink:href、:src、@click 等带前缀的属性名
+export function parseTemplateAttrs(raw = '') {
+    const attrs = {};
+    const re = /([:@#]?[\w:.-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let m;
+    while ((m = re.exec(raw)) !== null) {
+        attrs[m[1]] = m[2] ?? m[3] ?? m[4] ?? '';
+    }
+    return attrs;
+}
+
+export function toPascalCase(name) {
+    return name
+        .split(/[-_]/)
+        .filter(Boolean)
+        .map((part) => part[0].toUpperCase() + part.slice(1))
+        .join('');
+}
+
+// 提取顶层 <tag ...>...</tag> 块
+export function parseBlocks(content, tag) {
+    const blocks = [];
+    const re = new RegExp(`<${tag}\\b([^>]*)>([\\s\\S]*?)<\\/${tag}>`, 'gi');
+    let m;
+    while ((m = re.exec(content)) !== null) {
+        blocks.push({ attrs: parseTemplateAttrs(m[1] || ''), body: m[2] || '' });
+    }
+    return blocks;
+}
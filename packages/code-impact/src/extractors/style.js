@@ -0,0 +1,87 @@
+import path from 'path';
+import postcss from 'postcss';
+import safeParser from 'postcss-safe-parser';
+import { URL_SCHEME_RE } from './script.js';
+
+export const PREPROCESSORS = { '.scss': 'scss', '.sass': 'sass', '.less': 'less' };
+
+function stripStyleComments(code) {
+    return code
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/(^|[\s;{}])\/\/.*$/gm, '$1');
+}
+
+// 纯 CSS 导入：url()、.css、带协议或媒体查询的 @import 保持原样
+function isPlainCssImport(spec, rest) {
+    return /\.css$/i.test(spec) || URL_SCHEME_RE.test(spec) || /^\s*[a-z(]/i.test(rest);
+}
+
+// Sass 的 @use/@forward/@import 与 Less 的 @import (options) 'x'
+function parsePreprocessorImports(code, syntax) {
+    const results = [];
+    const re = /@(import|use|forward)\s+([^;\n{}]*)/g;
+    const text = stripStyleComments(code);
+    let m;
+    while ((m = re.exec(text)) !== null) {
+        const [, rule, rawParams] = m;
+        if (syntax === 'less' && rule !== 'import') continue;
+        const params = rawParams.replace(/^\(([^)]*)\)\s*/, '');
+        const options = syntax === 'less' ? (rawParams.match(/^\(([^)]*)\)/)?.[1] || '') : '';
+        if (/^url\(/.test(params)) {
+            const inner = params.replace(/^url\(|\).*$/g, '').replace(/['"]/g, '').trim();
+            if (inner) results.push({ spec: inner, kind: 'style', dynamic: false });
+            continue;
+        }
+        const strRe = /(['"])(.+?)\1/g;
+        let sm;
+        while ((sm = strRe.exec(params)) !== null) {
+            const spec = sm[2].trim();
+            if (!spec || spec.startsWith('sass:')) continue;
+            const after = params.slice(sm.index + sm[0].length);
+            const plain = rule === 'import' && (isPlainCssImport(spec, after) || /\bcss\b/.test(options));
+            const remote = URL_SCHEME_RE.test(spec);
+            results.push(remote ? { spec, kind: 'style', dynamic: false } : { spec, kind: 'style', dynamic: false, syntax: plain ? 'css' : syntax });
+            // @use/@forward 只有一个路径，@import 可逗号分隔多个
+            if (rule !== 'import') break;
+        }
+    }
+    return results;
+}
+
+export async function parseCssDeps(code, fromFile, syntax = PREPROCESSORS[path.extname(fromFile).toLowerCase()]) {
+    if (syntax) {
+        const results = parsePreprocessorImports(code, syntax);
+        const urlRe = /url\(([^)]+)\)/g;
+        const text = stripStyleComments(code).replace(/@(import|use|forward)\s+[^;\n]*/g, '');
+        let m;
+        while ((m = urlRe.exec(text)) !== null) {
+            const inner = m[1].replace(/['"]/g, '').trim();
+            if (inner && !inner.startsWith('data:') && !inner.includes('#{') && !inner.startsWith('$') && !inner.startsWith('@')) {
+                results.push({ spec: inner, kind: 'asset', dynamic: false });
+            }
+        }
+        return results;
+    }
+    const results = [];
+    const root = postcss().process(code, { from: fromFile, parser: safeParser }).root;
+    root.walkAtRules('import', (rule) => {
+        const param = rule.params.replace(/['"]/g, '').replace(/url\(|\)/g, '').trim();
+        if (param) results.push({ spec: param, kind: 'style', dynamic: false });
+    });
+    root.walkDecls((decl) => {
+        const matches = decl.value.match(/url\(([^)]+)\)/g);
+        if (matches) {
+            matches.forEach((m) => {
+                const inner = m.replace(/url\(|\)/g, '').replace(/['"]/g, '').trim();
+                if (inner && !inner.startsWith('data:')) {
+                    results.push({ spec: inner, kind: 'asset', dynamic: false });
+                }
+            });
+        }
+    });
+    return results;
+}
+
+export async function extractStyle(content, file) {
+    return { deps: await parseCssDeps(content, file), errors: [] };
+}
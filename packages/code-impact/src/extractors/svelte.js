@@ -0,0 +1,16 @@
+import { parseBlocks } from './sfc.js';
+import { extractScriptBlock } from './script.js';
+import { parseCssDeps, PREPROCESSORS } from './style.js';
+
+// <script>（含 context="module"）与 <style lang> 两类块
+export async function extractSvelte(content, file) {
+    const out = { deps: [], errors: [] };
+    parseBlocks(content, 'script').forEach(({ attrs, body }) => {
+        if (attrs.src) out.deps.push({ spec: attrs.src.trim(), kind: 'import', dynamic: false });
+        if (body.trim()) extractScriptBlock(body, file, 'svelte <script>', out);
+    });
+    for (const { attrs, body } of parseBlocks(content, 'style')) {
+        if (body.trim()) out.deps.push(...(await parseCssDeps(body, file, PREPROCESSORS[`.${attrs.lang}`])));
+    }
+    return out;
+}
@@ -0,0 +1,20 @@
+import crypto from 'crypto';
+import fsp from 'fs/promises';
+import { extractDeps } from './index.js';
+
+export function hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+// 读取并提取单个文件；内容 hash 与缓存一致时只返回 hash，由主线程复用缓存
+export async function readAndExtract(file, cachedHash) {
+    let content;
+    try {
+        content = await fsp.readFile(file, 'utf8');
+    } catch (err) {
+        return { error: err.message };
+    }
+    const hash = hashContent(content);
+    if (cachedHash === hash) return { hash, hit: true };
+    return { hash, extracted: await extractDeps(file, content) };
+}
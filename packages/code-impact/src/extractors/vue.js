@@ -0,0 +1,124 @@
+import { parseBlocks, parseTemplateAttrs, toPascalCase } from './sfc.js';
+import { collectGlobalComponents, extractScriptBlock, URL_SCHEME_RE } from './script.js';
+import { parseCssDeps, PREPROCESSORS } from './style.js';
+
+function parseVueSfc(content) {
+    const scripts = [];
+    const scriptSrc = [];
+    const styles = [];
+    const styleSrc = [];
+
+    parseBlocks(content, 'script').forEach(({ attrs, body }) => {
+        if (attrs.src) scriptSrc.push(attrs.src.trim());
+        if (body.trim()) scripts.push(body);
+    });
+    parseBlocks(content, 'style').forEach(({ attrs, body }) => {
+        if (attrs.src) styleSrc.push(attrs.src.trim());
+        if (body.trim()) styles.push({ body, lang: attrs.lang });
+    });
+
+    const templateMatch = /<template\b[^>]*>([\s\S]*)<\/template>/i.exec(content);
+    const template = templateMatch ? templateMatch[1] : '';
+
+    return { scripts, scriptSrc, styles, styleSrc, template };
+}
+
+// Vue 编译器默认会转换为模块请求的资源属性（transformAssetUrls）
+const TEMPLATE_ASSET_ATTRS = {
+    img: ['src', 'srcset'],
+    video: ['src', 'poster'],
+    audio: ['src'],
+    source: ['src', 'srcset'],
+    track: ['src'],
+    image: ['href', 'xlink:href'],
+    use: ['href', 'xlink:href'],
+};
+
+const HTML_TAGS = new Set(
+    ('html,body,base,head,link,meta,style,title,address,article,aside,footer,header,hgroup,h1,h2,h3,h4,h5,h6,nav,section,' +
+        'div,dd,dl,dt,figcaption,figure,picture,hr,img,li,main,ol,p,pre,ul,a,b,abbr,bdi,bdo,br,cite,code,data,dfn,em,i,kbd,' +
+        'mark,q,rp,rt,ruby,s,samp,small,span,strong,sub,sup,time,u,var,wbr,area,audio,map,track,video,embed,object,param,' +
+        'source,canvas,script,noscript,del,ins,caption,col,colgroup,table,thead,tbody,td,th,tr,button,datalist,fieldset,' +
+        'form,input,label,legend,meter,optgroup,option,output,progress,select,textarea,details,dialog,menu,summary,' +
+        'template,blockquote,iframe,tfoot,svg,g,path,circle,rect,line,polyline,polygon,ellipse,defs,use,symbol,image,' +
+        'text,tspan,lineargradient,radialgradient,stop,clippath,mask,pattern,filter,foreignobject,marker,' +
+        'slot,component,transition,transition-group,keep-alive,teleport,suspense').split(',')
+);
+
+// 只有相对路径、~ 与别名形式的静态地址会被打包器处理
+function templateAssetSpec(url) {
+    const trimmed = url.trim();
+    if (!trimmed || URL_SCHEME_RE.test(trimmed) || trimmed.startsWith('/') || trimmed.startsWith('#')) return null;
+    if (trimmed.startsWith('~')) return trimmed.slice(1).replace(/^\//, '');
+    if (trimmed.startsWith('.') || trimmed.startsWith('@')) return trimmed;
+    return null;
+}
+
+// 模板中的静态资源与组件标签
+function parseVueTemplate(template) {
+    const assets = [];
+    const tags = new Set();
+    const tagRe = /<([A-Za-z][\w-]*)(\s[^>]*?)?\/?>/g;
+    let m;
+    while ((m = tagRe.exec(template)) !== null) {
+        const tag = m[1];
+        const lower = tag.toLowerCase();
+        const attrs = parseTemplateAttrs(m[2] || '');
+        (TEMPLATE_ASSET_ATTRS[lower] || []).forEach((name) => {
+            const value = attrs[name];
+            if (!value) return;
+            const urls = name === 'srcset' ? value.split(',').map((part) => part.trim().split(/\s+/)[0]) : [value];
+            urls.forEach((url) => {
+                const spec = templateAssetSpec(url);
+                if (spec) assets.push(spec);
+            });
+        });
+        if (!HTML_TAGS.has(lower) && (tag.includes('-') || /^[A-Z]/.test(tag))) {
+            tags.add(toPascalCase(tag));
+        }
+    }
+    return { assets, tags: Array.from(tags) };
+}
+
+// unplugin-vue-components 生成的 components.d.ts
+export function parseComponentsDts(content) {
+    const found = [];
+    const re = /['"]?([A-Za-z][\w]*)['"]?\s*:\s*typeof\s+import\(\s*['"]([^'"]+)['"]\s*\)/g;
+    let m;
+    while ((m = re.exec(content)) !== null) {
+        found.push({ name: toPascalCase(m[1]), spec: m[2] });
+    }
+    return found;
+}
+
+export const COMPONENTS_DTS = 'components.d.ts';
+
+export async function extractVue(content, file) {
+    const out = { deps: [], errors: [] };
+    const { deps } = out;
+    const { scripts, scriptSrc, styles, styleSrc, template } = parseVueSfc(content);
+    const globalComponents = [];
+    // external script src
+    scriptSrc.forEach((spec) => deps.push({ spec, kind: 'import', dynamic: false }));
+    // inline scripts
+    for (const block of scripts) {
+        const ast = extractScriptBlock(block, file, 'vue <script>', out);
+        if (ast) globalComponents.push(...collectGlobalComponents(ast));
+    }
+    // template: 静态资源与未在本地 import 的组件标签
+    const { assets, tags } = parseVueTemplate(template);
+    assets.forEach((spec) => deps.push({ spec, kind: 'asset', dynamic: false }));
+    const locals = new Set(deps.flatMap((d) => (d.specifiers || []).map((sp) => toPascalCase(sp.local))));
+    tags.filter((tag) => !locals.has(tag)).forEach((tag) => deps.push({ spec: tag, kind: 'component', dynamic: false, component: tag }));
+    // external styles
+    styleSrc.forEach((spec) => deps.push({ spec, kind: 'style', dynamic: false }));
+    // inline styles
+    for (const { body, lang } of styles) {
+        deps.push(...(await parseCssDeps(body, file, PREPROCESSORS[`.${lang}`])));
+    }
+    return globalComponents.length ? { ...out, globalComponents } : out;
+}
+
+export async function extractComponentsDts(content) {
+    return { deps: [], errors: [], globalComponents: parseComponentsDts(content) };
+}
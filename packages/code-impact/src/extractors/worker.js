@@ -0,0 +1,11 @@
+import { parentPort } from 'worker_threads';
+import { readAndExtract } from './task.js';
+
+// 每次处理一批文件，结果带回批次起点以便主线程按序合并
+parentPort.on('message', async ({ start, tasks }) => {
+    const results = [];
+    for (const { file, cachedHash } of tasks) {
+        results.push(await readAndExtract(file, cachedHash));
+    }
+    parentPort.postMessage({ start, results });
+});
@@ -18,6 +18,42 @@ export function getChangedFiles({ projectRoot = process.cwd(), range = 'HEAD~1..
     }
 }
 
+// --name-status -M：{ status: 'A'|'M'|'D'|'R', path, oldPath? }，复制（C）按新增处理，类型变化（T）按修改处理
+export function getChangedEntries({ projectRoot = process.cwd(), range = 'HEAD~1..HEAD' }) {
+    let output = '';
+    try {
+        output = execSync(`git diff --name-status -M ${range}`, {
+            cwd: projectRoot,
+            stdio: ['ignore', 'pipe', 'ignore'],
+            encoding: 'utf8',
+        });
+    } catch (err) {
+        return [];
+    }
+    return output
+        .split('\n')
+        .map((l) => l.trim())
+        .filter(Boolean)
+        .map((line) => {
+            const [code, first, second] = line.split('\t');
+            const status = { C: 'A', T: 'M' }[code[0]] || code[0];
+            if (status === 'R') {
+                return { status, path: path.resolve(projectRoot, second), oldPath: path.resolve(projectRoot, first) };
+            }
+            return { status, path: path.resolve(projectRoot, second ?? first) };
+        });
+}
+
+// diff 范围的基准引用：A..B 取 A，A...B 取 merge-base，单个引用即为基准（与工作区比较）
+export function getBaseRef({ projectRoot = process.cwd(), range = 'HEAD~1..HEAD' }) {
+    if (range.includes('...')) {
+        const [left, right] = range.split('...');
+        return git(['merge-base', left || 'HEAD', right || 'HEAD'], projectRoot);
+    }
+    if (range.includes('..')) return range.split('..')[0] || 'HEAD';
+    return range;
+}
+
 export function getChangedRanges({ projectRoot = process.cwd(), range = 'HEAD~1..HEAD', files = [] }) {
     const map = {};
     const debug = {
@@ -123,3 +159,42 @@ export function getChangedRanges({ projectRoot = process.cwd(), range = 'HEAD~1.
     return map;
 }
 
+
+export function getHeadCommit({ projectRoot = process.cwd() } = {}) {
+    try {
+        return execSync('git rev-parse HEAD', {
+            cwd: projectRoot,
+            stdio: ['ignore', 'pipe', 'ignore'],
+            encoding: 'utf8',
+        }).trim();
+    } catch (err) {
+        return null;
+    }
+}
+
+function git(args, cwd) {
+    const res = spawnSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+    if (res.status !== 0) {
+        throw new Error((res.stderr || res.error?.message || `git ${args[0]} 失败`).trim());
+    }
+    return res.stdout.trim();
+}
+
+export function getRepoRoot({ projectRoot = process.cwd() } = {}) {
+    return git(['rev-parse', '--show-toplevel'], projectRoot);
+}
+
+// 在 dir 检出 ref 的独立工作区（detached），不影响当前工作区
+export function addWorktree({ projectRoot = process.cwd(), ref, dir }) {
+    const commit = git(['rev-parse', '--verify', `${ref}^{commit}`], projectRoot);
+    git(['worktree', 'add', '--detach', dir, commit], projectRoot);
+    return commit;
+}
+
+export function removeWorktree({ projectRoot = process.cwd(), dir }) {
+    try {
+        git(['worktree', 'remove', '--force', dir], projectRoot);
+    } finally {
+        git(['worktree', 'prune'], projectRoot);
+    }
+}
@@ -2,13 +2,23 @@ import fs from 'fs';
 import fsp from 'fs/promises';
 import path from 'path';
 import fg from 'fast-glob';
-import { parse } from '@typescript-eslint/typescript-estree';
-import postcss from 'postcss';
-import safeParser from 'postcss-safe-parser';
 import { loadWebpackResolve } from './resolvers/webpack.js';
-
-const CODE_EXTS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.vue'];
-const STYLE_EXTS = ['.css', '.scss', '.less'];
+import { loadTsconfigResolve } from './resolvers/tsconfig.js';
+import { loadViteResolve, applyViteAlias } from './resolvers/vite.js';
+import { loadWorkspaceResolve } from './resolvers/workspace.js';
+import { resolveStyleImport } from './resolvers/style.js';
+import { extractDeps, extractorExtensions, isBuiltinExtractor } from './extractors/index.js';
+import { hashContent, readAndExtract } from './extractors/task.js';
+import { COMPONENTS_DTS } from './extractors/vue.js';
+import { URL_SCHEME_RE } from './extractors/script.js';
+import { effectivePoolSize, runExtractPool } from './pool.js';
+import { encodeGraph, decodeGraph, serializeGraph, writeFileAtomic, checkStaleness } from './store.js';
+import { getHeadCommit } from './git.js';
+import { loadConfig, createPathMatcher } from './config.js';
+import { discoverFileRoutes } from './routes.js';
+
+const CODE_EXTS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.vue', '.svelte', '.astro', '.mdx', '.html', '.graphql', '.gql'];
+const STYLE_EXTS = ['.css', '.scss', '.sass', '.less'];
 const ASSET_EXTS = ['.svg', '.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.mp4', '.json'];
 const DEFAULT_EXTS = [...CODE_EXTS, ...STYLE_EXTS, ...ASSET_EXTS];
 const IGNORE_GLOBS = ['**/node_modules/**', '**/dist/**', '**/.git/**', '**/.next/**', '**/.cache/**', '**/coverage/**', '**/build/**', '**/.code-impact/**', '**/.impact.mmd'];
@@ -18,10 +28,17 @@ const NodeType = {
     STYLE: 'style',
     ASSET: 'asset',
     PKG: 'pkg',
+    ROUTE: 'route',
 };
 
+// 参与扫描的扩展名：内置类型 + 已注册提取器
+export function scanExtensions(extra = []) {
+    return Array.from(new Set([...DEFAULT_EXTS, ...extra, ...extractorExtensions()]));
+}
+
 export function detectNodeType(filePath) {
     if (filePath.startsWith('pkg:')) return NodeType.PKG;
+    if (filePath.startsWith('route:')) return NodeType.ROUTE;
     const ext = path.extname(filePath).toLowerCase();
     if (STYLE_EXTS.includes(ext)) return NodeType.STYLE;
     if (ASSET_EXTS.includes(ext)) return NodeType.ASSET;
@@ -67,16 +84,32 @@ function tryResolveWithExt(basePath, extensions) {
     return null;
 }
 
-function resolveWithAlias(spec, fromFile, { projectRoot, alias, extensions }) {
+// HTML 入口里 / 开头的地址相对 vite root：包含该文件的配置 root，否则为 HTML 所在目录
+function absoluteSpecRoot(fromFile, { projectRoot, viteRoots = [] }) {
+    if (path.extname(fromFile).toLowerCase() !== '.html') return projectRoot;
+    const root = viteRoots.filter((r) => fromFile.startsWith(`${r}${path.sep}`)).sort((a, b) => b.length - a.length)[0];
+    return root || path.dirname(fromFile);
+}
+
+function resolveWithAlias(spec, fromFile, ctx) {
+    const { projectRoot, alias, viteAlias, extensions, tsconfig, workspace } = ctx;
     const fromDir = path.dirname(fromFile);
     if (spec.startsWith('.') || spec.startsWith('/')) {
         const targetBase = spec.startsWith('/')
-            ? path.join(projectRoot, spec)
+            ? path.join(absoluteSpecRoot(fromFile, ctx), spec)
             : path.resolve(fromDir, spec);
         const resolved = tryResolveWithExt(targetBase, extensions);
         if (resolved) return resolved;
     }
 
+    // vite/rollup 别名按声明顺序优先匹配，支持正则 find
+    const replaced = applyViteAlias(spec, viteAlias);
+    if (replaced) {
+        const base = path.isAbsolute(replaced) ? replaced : path.resolve(projectRoot, replaced);
+        const resolved = tryResolveWithExt(base, extensions);
+        if (resolved) return resolved;
+    }
+
     let aliased = null;
     if (alias && Object.keys(alias).length > 0) {
         const keys = Object.keys(alias).sort((a, b) => b.length - a.length);
@@ -94,271 +127,429 @@ function resolveWithAlias(spec, fromFile, { projectRoot, alias, extensions }) {
         if (aliased) return aliased;
     }
 
+    // tsconfig/jsconfig 的 paths 与 baseUrl
+    if (tsconfig) {
+        for (const base of tsconfig.resolve(spec, fromFile)) {
+            const resolved = tryResolveWithExt(base, extensions);
+            if (resolved) return resolved;
+        }
+    }
+
+    // monorepo 内的 workspace 包指向本地源码
+    if (workspace) {
+        for (const base of workspace.resolve(spec)) {
+            const resolved = tryResolveWithExt(base, extensions);
+            if (resolved) return resolved;
+        }
+    }
+
     // package import
     return `pkg:${spec}`;
 }
 
-function collectCodeEdges(ast, fromFile) {
-    const deps = [];
-    const stack = [ast];
-    while (stack.length) {
-        const node = stack.pop();
-        if (!node || typeof node !== 'object') continue;
-
-        if (node.type === 'ImportDeclaration' && node.source?.value) {
-            deps.push({ spec: node.source.value, kind: 'import', dynamic: false });
-        }
-        if (node.type === 'ExportAllDeclaration' && node.source?.value) {
-            deps.push({ spec: node.source.value, kind: 'import', dynamic: false });
-        }
-        if (node.type === 'CallExpression' && node.callee?.name === 'require' && node.arguments?.length === 1) {
-            const arg = node.arguments[0];
-            if (arg.type === 'Literal' && typeof arg.value === 'string') {
-                deps.push({ spec: arg.value, kind: 'import', dynamic: false });
-            }
-        }
-        if (node.type === 'ImportExpression' && node.source) {
-            if (node.source.type === 'Literal' && typeof node.source.value === 'string') {
-                deps.push({ spec: node.source.value, kind: 'dynamic', dynamic: true });
-            }
+// 样式/资源边保留原 kind，代码依赖指向包时统一记为 pkg
+const STYLE_KINDS = ['style', 'asset'];
+
+// glob 模式按相对路径 / 根路径 / 别名转为项目根下的 posix 模式
+function resolvePattern(pattern, fromFile, { projectRoot, alias, viteAlias }) {
+    const negated = pattern.startsWith('!');
+    const raw = negated ? pattern.slice(1) : pattern;
+    let abs = null;
+    if (raw.startsWith('.')) {
+        abs = path.resolve(path.dirname(fromFile), raw);
+    } else if (raw.startsWith('/')) {
+        abs = path.join(projectRoot, raw);
+    } else {
+        const replaced = applyViteAlias(raw, viteAlias);
+        if (replaced) {
+            abs = path.isAbsolute(replaced) ? replaced : path.resolve(projectRoot, replaced);
+        } else {
+            const key = Object.keys(alias || {})
+                .sort((a, b) => b.length - a.length)
+                .find((k) => raw.startsWith(`${k}/`));
+            if (key) abs = path.resolve(projectRoot, alias[key], raw.slice(key.length + 1));
         }
+    }
+    if (!abs) return null;
+    const rel = path.relative(projectRoot, abs).split(path.sep).join('/');
+    return negated ? `!${rel}` : rel;
+}
 
-        for (const key of Object.keys(node)) {
-            const child = node[key];
-            if (Array.isArray(child)) {
-                for (let i = child.length - 1; i >= 0; i -= 1) {
-                    stack.push(child[i]);
-                }
-            } else if (child && typeof child === 'object') {
-                stack.push(child);
-            }
-        }
+function matchesRegex(file, base, regex) {
+    if (!regex) return true;
+    const rel = `./${path.relative(base, file).split(path.sep).join('/')}`;
+    return new RegExp(regex.source, regex.flags.replace('g', '')).test(rel);
+}
+
+function expandGlob(file, dep, ctx) {
+    const patterns = dep.glob.patterns.map((p) => resolvePattern(p, file, ctx)).filter(Boolean);
+    const positive = patterns.filter((p) => !p.startsWith('!'));
+    if (!positive.length) return { edges: [], globs: [] };
+    const negative = patterns.filter((p) => p.startsWith('!')).map((p) => p.slice(1));
+    const base = dep.glob.base ? path.resolve(path.dirname(file), dep.glob.base) : null;
+    const pattern = positive.length === 1 ? positive[0] : `{${positive.join(',')}}`;
+    const record = { pattern, dynamic: dep.dynamic };
+    if (negative.length) record.ignore = negative;
+    if (dep.glob.regex) {
+        record.regex = dep.glob.regex;
+        record.base = path.relative(ctx.projectRoot, base).split(path.sep).join('/');
     }
-    return deps;
+    const matched = fg
+        .sync(positive, { cwd: ctx.projectRoot, absolute: true, ignore: [...IGNORE_GLOBS, ...negative] })
+        .map(normalize)
+        .filter((f) => f !== file && matchesRegex(f, base, dep.glob.regex))
+        .sort();
+    const edges = matched.map((to) => ({ to, kind: 'glob', dynamic: dep.dynamic, pattern }));
+    return { edges, globs: [record] };
 }
 
-async function parseCssDeps(code, fromFile) {
-    const results = [];
-    const root = postcss().process(code, { from: fromFile, parser: safeParser }).root;
-    root.walkAtRules('import', (rule) => {
-        const param = rule.params.replace(/['"]/g, '').replace(/url\(|\)/g, '').trim();
-        if (param) results.push({ spec: param, kind: 'style', dynamic: false });
-    });
-    root.walkDecls((decl) => {
-        const matches = decl.value.match(/url\(([^)]+)\)/g);
-        if (matches) {
-            matches.forEach((m) => {
-                const inner = m.replace(/url\(|\)/g, '').replace(/['"]/g, '').trim();
-                if (inner && !inner.startsWith('data:')) {
-                    results.push({ spec: inner, kind: 'asset', dynamic: false });
-                }
-            });
+// 解析失败却落到 pkg: 的本地引用：相对/根路径、命中别名或 paths、workspace 包
+function unresolvedReason(dep, fromFile, ctx) {
+    const { spec } = dep;
+    // sass:math、virtual:xxx 等协议模块不是文件
+    if (URL_SCHEME_RE.test(spec)) return null;
+    if (spec.startsWith('.') || spec.startsWith('/')) return 'relative';
+    // 样式里的裸路径走 loadPaths / node_modules，无法区分
+    if (dep.syntax) return null;
+    if (applyViteAlias(spec, ctx.viteAlias)) return 'alias';
+    if (Object.keys(ctx.alias || {}).some((k) => spec === k || spec.startsWith(`${k}/`))) return 'alias';
+    if (ctx.tsconfig?.matchesPaths?.(spec, fromFile)) return 'tsconfig';
+    if (ctx.workspace?.resolve(spec).length) return 'workspace';
+    return null;
+}
+
+function resolveDeps(file, deps, ctx) {
+    const edges = [];
+    const globs = [];
+    deps.forEach((dep) => {
+        if (dep.glob) {
+            const expanded = expandGlob(file, dep, ctx);
+            edges.push(...expanded.edges);
+            globs.push(...expanded.globs);
+            return;
+        }
+        if (dep.component) {
+            // 未注册的标签（如自定义元素、第三方全局组件）不产生边
+            const target = ctx.components?.[dep.component];
+            if (!target || target === file) return;
+            const kind = detectNodeType(target) === NodeType.PKG ? 'pkg' : 'component';
+            edges.push({ to: target, kind, dynamic: false });
+            return;
+        }
+        const to = dep.syntax
+            ? resolveStyleImport(dep.spec, file, dep.syntax, ctx) || `pkg:${dep.spec.replace(/^~/, '')}`
+            : resolveWithAlias(dep.spec, file, ctx);
+        const kind = !STYLE_KINDS.includes(dep.kind) && detectNodeType(to) === NodeType.PKG ? 'pkg' : dep.kind;
+        // 保留原始引用写法，check 等报告中展示
+        const edge = { to, kind, dynamic: dep.dynamic, spec: dep.spec };
+        if (detectNodeType(to) === NodeType.PKG) {
+            const reason = unresolvedReason(dep, file, ctx);
+            if (reason) edge.unresolved = reason;
         }
+        if (dep.typeOnly) edge.typeOnly = true;
+        if (dep.specifiers) edge.specifiers = dep.specifiers;
+        if (dep.reexports) edge.reexports = dep.reexports;
+        edges.push(edge);
     });
-    return results;
+    return { edges, globs };
 }
 
-function parseAttrs(raw = '') {
-    const attrs = {};
-    const re = /(\w+)(?:\s*=\s*("(.*?)"|'(.*?)'|[^\s"'>]+))?/g;
-    let m;
-    while ((m = re.exec(raw)) !== null) {
-        const key = m[1];
-        const val = m[3] || m[4] || (m[2] ? m[2] : '');
-        if (key) attrs[key] = val;
-    }
-    return attrs;
+// vue-router 路由表中的组件，解析失败（第三方包）的忽略
+function resolveRoutes(file, routes, ctx) {
+    if (!routes?.length) return undefined;
+    return routes
+        .map(({ path: routePath, specs }) => ({
+            path: routePath,
+            files: specs.map((spec) => resolveWithAlias(spec, file, ctx)).filter((to) => detectNodeType(to) !== NodeType.PKG),
+            source: 'vue-router',
+        }))
+        .filter((r) => r.files.length);
 }
 
-function parseVueSfc(content) {
-    const scripts = [];
-    const scriptSrc = [];
-    const styles = [];
-    const styleSrc = [];
-
-    const scriptRe = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
-    let sm;
-    while ((sm = scriptRe.exec(content)) !== null) {
-        const attrs = parseAttrs(sm[1] || '');
-        if (attrs.src) {
-            scriptSrc.push(attrs.src.trim());
-        }
-        const body = sm[2] || '';
-        if (body.trim()) scripts.push(body);
-    }
+// 新增文件可能成为的解析结果：去掉扩展名与 Sass 片段前缀 _ 的路径，index 文件同时对应其目录
+function resolutionStems(file) {
+    const dir = path.dirname(file);
+    const name = path.basename(file).replace(/\.[^.]+$/, '').replace(/^_/, '');
+    return name === 'index' ? [path.join(dir, name), dir] : [path.join(dir, name)];
+}
 
-    const styleRe = /<style\b([^>]*)>([\s\S]*?)<\/style>/gi;
-    let stm;
-    while ((stm = styleRe.exec(content)) !== null) {
-        const attrs = parseAttrs(stm[1] || '');
-        if (attrs.src) {
-            styleSrc.push(attrs.src.trim());
+// 缓存的边只在解析结果不会变化时复用：glob 与未解析的引用总是重新解析；
+// 目标须仍在本次扫描的文件中（根目录外的目标每次重新解析），且没有新增文件会抢先命中同一引用
+function cachedEdgesStale({ edges, globs }, files, added) {
+    if (globs.length) return true;
+    return edges.some(({ to, kind, unresolved }) => {
+        if (unresolved) return true;
+        if (to.startsWith('pkg:')) {
+            // 样式裸路径走 loadPaths，tsconfig baseUrl 下的裸路径也可能指向新增文件
+            const suffix = `${path.sep}${to.slice('pkg:'.length).split('/').join(path.sep)}`;
+            return STYLE_KINDS.includes(kind) || added.list.some((stem) => stem.endsWith(suffix));
         }
-        const body = stm[2] || '';
-        if (body.trim()) styles.push(body);
+        return !files.has(to) || resolutionStems(to).some((stem) => added.set.has(stem));
+    });
+}
+
+// 增量缓存：按文件路径 + 内容 hash 复用提取结果
+const CACHE_VERSION = 14;
+const CACHE_FILE = 'cache.json';
+
+async function loadParseCache(projectRoot) {
+    try {
+        const raw = await fsp.readFile(path.join(projectRoot, '.code-impact', CACHE_FILE), 'utf8');
+        const data = JSON.parse(raw);
+        if (data?.version !== CACHE_VERSION || !data.files) return null;
+        return data;
+    } catch {
+        return null;
     }
+}
 
-    return { scripts, scriptSrc, styles, styleSrc };
+async function saveParseCache(projectRoot, data) {
+    const outDir = path.join(projectRoot, '.code-impact');
+    await ensureDir(outDir);
+    await fsp.writeFile(path.join(outDir, CACHE_FILE), JSON.stringify(data), 'utf8');
 }
 
+// 显式参数优先于配置文件；config 传 false 表示不读取 code-impact.config.*
 export async function buildGraph({
     projectRoot = process.cwd(),
+    config,
+    configFile,
     roots,
     webpackConfig,
-    exts = DEFAULT_EXTS,
+    viteConfig,
+    styleLoadPaths,
+    exts,
+    cache = true,
+    full = false,
+    workers,
 }) {
+    const settings = config === false ? {} : config || (await loadConfig({ projectRoot, configFile })).config;
+    const resolvers = settings.resolvers || {};
+    const configPath = (value) => (typeof value === 'string' ? value : undefined);
+    const loadPaths = styleLoadPaths ?? settings.styleLoadPaths ?? [];
+
     const graph = {
-        meta: { projectRoot: normalize(projectRoot), generatedAt: new Date().toISOString() },
+        meta: { projectRoot: normalize(projectRoot), generatedAt: new Date().toISOString(), head: getHeadCommit({ projectRoot }) },
         nodes: {},
         edges: [],
         forward: {},
         reverse: {},
+        globs: [],
         errors: [],
     };
 
+    const workspace =
+        resolvers.workspace === false
+            ? { resolve: () => [], packages: [], key: '' }
+            : await loadWorkspaceResolve({ projectRoot });
+
+    const rootList = roots?.length ? roots : settings.roots;
     const resolvedRoots = [];
-    if (Array.isArray(roots) && roots.length > 0) {
-        roots.forEach((r) => {
-            const abs = path.resolve(projectRoot, r);
-            if (dirExists(abs)) resolvedRoots.push(abs);
-        });
+    if (Array.isArray(rootList) && rootList.length > 0) {
+        for (const r of rootList) {
+            // 配置中的 roots 允许 glob，如 apps/*/src
+            const matched = fg.isDynamicPattern(r)
+                ? await fg([r], { cwd: projectRoot, onlyDirectories: true, absolute: true, ignore: IGNORE_GLOBS })
+                : [path.resolve(projectRoot, r)];
+            matched.sort().map(normalize).forEach((abs) => {
+                if (dirExists(abs) && !resolvedRoots.includes(abs)) resolvedRoots.push(abs);
+            });
+        }
     } else {
         const defaultRoot = path.join(projectRoot, 'src');
         if (dirExists(defaultRoot)) resolvedRoots.push(defaultRoot);
         const pkgRoots = await fg(['packages/*/src'], { cwd: projectRoot, onlyDirectories: true, absolute: true, ignore: IGNORE_GLOBS });
-        resolvedRoots.push(...pkgRoots);
+        // workspace 声明的包（如 apps/*）同样扫描其 src
+        workspace.packages.forEach((p) => {
+            const src = path.join(p.dir, 'src');
+            if (dirExists(src)) pkgRoots.push(src);
+        });
+        pkgRoots.map(normalize).forEach((r) => {
+            if (!resolvedRoots.includes(r)) resolvedRoots.push(r);
+        });
     }
 
     if (resolvedRoots.length === 0) {
         throw new Error('未找到可用的源码目录，请检查 roots 或项目结构。');
     }
 
-    const webpackResolve = await loadWebpackResolve({ projectRoot, webpackConfig });
+    const webpackResolve =
+        resolvers.webpack === false
+            ? { alias: {} }
+            : await loadWebpackResolve({ projectRoot, webpackConfig: webpackConfig ?? configPath(resolvers.webpack) });
     const alias = {
-        '@': 'src', // Vite/Vue 常见默认别名
+        // Vite/Vue 常见默认别名，配置了 alias 时以配置为准
+        ...(settings.alias ? {} : { '@': 'src' }),
         ...(webpackResolve.alias || {}),
+        ...(settings.alias || {}),
     };
-    const extensions = webpackResolve.extensions?.length ? webpackResolve.extensions : exts;
-
+    const extensions = exts || settings.extensions || (webpackResolve.extensions?.length ? webpackResolve.extensions : DEFAULT_EXTS);
+    const viteResolve =
+        resolvers.vite === false
+            ? { alias: [], roots: [], key: '' }
+            : await loadViteResolve({ projectRoot, viteConfig: viteConfig ?? configPath(resolvers.vite) });
+    // 配置加载失败时不使用其别名，但要让用户知道原因
+    if (viteResolve.error) graph.errors.push(viteResolve.error);
+    const tsconfig = resolvers.tsconfig === false ? { resolve: () => [], matchesPaths: () => false, key: '' } : await loadTsconfigResolve({ projectRoot });
+
+    graph.meta.roots = resolvedRoots.map((r) => relativizeId(r, projectRoot));
+    if (workspace.packages.length) {
+        graph.meta.packages = workspace.packages.map((p) => ({ name: p.name, dir: relativizeId(p.dir, projectRoot).split(path.sep).join('/') }));
+    }
+    const scanExts = scanExtensions(settings.extensions).map((e) => e.slice(1));
     const files = new Set();
     for (const root of resolvedRoots) {
-        const found = await fg(['**/*.{ts,tsx,js,jsx,mjs,cjs,vue,css,scss,less,svg,png,jpg,jpeg,gif,webp,avif,mp4,json}'], {
+        const found = await fg([`**/*.{${scanExts.join(',')}}`], {
             cwd: root,
             absolute: true,
             ignore: IGNORE_GLOBS,
         });
         found.forEach((f) => files.add(normalize(f)));
     }
+    // Vite 等工具的 index.html 入口位于源码目录之外（项目根或包根）
+    const entryDirs = new Set([normalize(projectRoot), ...resolvedRoots.map((r) => path.dirname(r))]);
+    for (const dir of entryDirs) {
+        const found = await fg(['*.html'], { cwd: dir, absolute: true, ignore: IGNORE_GLOBS });
+        found.forEach((f) => files.add(normalize(f)));
+    }
+    // 测试文件常位于源码目录之外（tests/、e2e/），配置了 tests 时一并纳入
+    const extraGlobs = [...(settings.include || []), ...(settings.tests || [])];
+    if (extraGlobs.length) {
+        const found = await fg(extraGlobs, { cwd: projectRoot, absolute: true, ignore: IGNORE_GLOBS });
+        found.forEach((f) => files.add(normalize(f)));
+    }
+    const excluded = createPathMatcher(settings.exclude, projectRoot);
+    if (settings.entries?.length) {
+        graph.meta.entries = (await fg(settings.entries, { cwd: projectRoot, ignore: IGNORE_GLOBS })).sort();
+    }
 
     const addNode = (id) => {
         if (graph.nodes[id]) return;
         graph.nodes[id] = { id, type: detectNodeType(id) };
     };
-    const addEdge = (from, to, kind, dynamic = false) => {
-        graph.edges.push({ from, to, kind, dynamic });
+    // extra: 导出级分析所需的 specifiers / reexports
+    const addEdge = (from, to, kind, dynamic = false, extra = {}) => {
+        graph.edges.push({ from, to, kind, dynamic, ...extra });
         if (!graph.forward[from]) graph.forward[from] = [];
-        graph.forward[from].push({ to, kind, dynamic });
+        graph.forward[from].push({ to, kind, dynamic, ...extra });
         if (!graph.reverse[to]) graph.reverse[to] = [];
-        graph.reverse[to].push({ from, kind, dynamic });
+        graph.reverse[to].push({ from, kind, dynamic, ...extra });
     };
 
-    // pre-register nodes
-    files.forEach(addNode);
+    // 排序保证节点、边的顺序在多次构建间稳定
+    const fileList = Array.from(files).filter((f) => !excluded(f)).sort();
+    fileList.forEach(addNode);
 
-    for (const file of files) {
-        const type = detectNodeType(file);
-        let content = '';
-        try {
-            content = await fsp.readFile(file, 'utf8');
-        } catch (err) {
-            graph.errors.push({ file, error: err.message });
+    const prevCache = cache && !full ? await loadParseCache(projectRoot) : null;
+
+    // 第一阶段：读取并提取（命中缓存的文件跳过解析），可分发到 worker 线程
+    const tasks = fileList.map((file) => {
+        const key = relativizeId(file, projectRoot);
+        return { file, key, cachedHash: prevCache?.files[key]?.hash };
+    });
+    const poolSize = effectivePoolSize(workers ?? settings.workers, tasks.length);
+    const pooled = poolSize > 1 ? tasks.filter((t) => isBuiltinExtractor(t.file)) : [];
+    const pooledResults = await runExtractPool(
+        pooled.map(({ file, cachedHash }) => ({ file, cachedHash })),
+        poolSize
+    );
+    const outcomes = new Map(pooled.map((t, i) => [t.file, pooledResults[i]]));
+
+    const entries = [];
+    for (const { file, key, cachedHash } of tasks) {
+        const outcome = outcomes.get(file) || (await readAndExtract(file, cachedHash));
+        if (outcome.error) {
+            graph.errors.push({ file, error: outcome.error });
             continue;
         }
+        const hit = outcome.hit ? prevCache.files[key] : null;
+        entries.push({ file, key, hash: outcome.hash, hit, extracted: hit || outcome.extracted });
+    }
 
-        if (type === NodeType.CODE) {
-            const isVue = path.extname(file).toLowerCase() === '.vue';
-            if (isVue) {
-                const { scripts, scriptSrc, styles, styleSrc } = parseVueSfc(content);
-                // external script src
-                scriptSrc.forEach((spec) => {
-                    const target = resolveWithAlias(spec, file, { projectRoot, alias, extensions });
-                    addNode(target);
-                    const kind = detectNodeType(target) === NodeType.PKG ? 'pkg' : 'import';
-                    addEdge(file, target, kind, false);
-                });
-                // inline scripts
-                for (const block of scripts) {
-                    try {
-                        const ast = parse(block, {
-                            jsx: true,
-                            loc: false,
-                            range: false,
-                            sourceType: 'module',
-                            ecmaVersion: 'latest',
-                        });
-                        const deps = collectCodeEdges(ast, file);
-                        for (const dep of deps) {
-                            const target = resolveWithAlias(dep.spec, file, { projectRoot, alias, extensions });
-                            addNode(target);
-                            const kind = detectNodeType(target) === NodeType.PKG ? 'pkg' : dep.kind;
-                            addEdge(file, target, kind, dep.dynamic);
-                        }
-                    } catch (err) {
-                        graph.errors.push({ file, error: `parse vue <script> failed: ${err.message}` });
-                    }
-                }
-                // external styles
-                styleSrc.forEach((spec) => {
-                    const target = resolveWithAlias(spec, file, { projectRoot, alias, extensions });
-                    addNode(target);
-                    addEdge(file, target, 'style', false);
-                });
-                // inline styles
-                for (const block of styles) {
-                    const deps = await parseCssDeps(block, file);
-                    for (const dep of deps) {
-                        const target = resolveWithAlias(dep.spec, file, { projectRoot, alias, extensions });
-                        addNode(target);
-                        addEdge(file, target, dep.kind, dep.dynamic);
-                    }
-                }
-                continue;
-            }
-            let ast;
-            try {
-                ast = parse(content, {
-                    jsx: true,
-                    loc: false,
-                    range: false,
-                    sourceType: 'module',
-                    ecmaVersion: 'latest',
-                });
-            } catch (err) {
-                graph.errors.push({ file, error: `parse failed: ${err.message}` });
-                continue;
-            }
-            const deps = collectCodeEdges(ast, file);
-            for (const dep of deps) {
-                const target = resolveWithAlias(dep.spec, file, { projectRoot, alias, extensions });
-                addNode(target);
-                const kind = detectNodeType(target) === NodeType.PKG ? 'pkg' : dep.kind;
-                addEdge(file, target, kind, dep.dynamic);
-            }
-        } else if (type === NodeType.STYLE) {
-            const deps = await parseCssDeps(content, file);
-            for (const dep of deps) {
-                const target = resolveWithAlias(dep.spec, file, { projectRoot, alias, extensions });
-                addNode(target);
-                addEdge(file, target, dep.kind, dep.dynamic);
-            }
-        }
+    const resolveCtx = {
+        projectRoot,
+        alias,
+        viteAlias: viteResolve.alias,
+        viteRoots: viteResolve.roots,
+        extensions,
+        tsconfig,
+        workspace,
+        loadPaths,
+    };
+    // 全局组件注册表：入口里的 app.component 与根目录的 components.d.ts
+    const rootDts = path.join(projectRoot, COMPONENTS_DTS);
+    if (!files.has(normalize(rootDts)) && fileExists(rootDts)) {
+        const extracted = await extractDeps(rootDts, await fsp.readFile(rootDts, 'utf8'));
+        entries.push({ file: normalize(rootDts), external: true, extracted });
     }
+    const components = {};
+    entries.forEach(({ file, extracted }) => {
+        (extracted.globalComponents || []).forEach(({ name, spec }) => {
+            if (!components[name]) components[name] = resolveWithAlias(spec, file, resolveCtx);
+        });
+    });
+    resolveCtx.components = components;
+
+    // 解析配置与组件注册表不变时才可复用缓存中的边；文件增删只影响相关文件，见 cachedEdgesStale
+    const resolveKey = hashContent(JSON.stringify({
+        projectRoot: normalize(projectRoot),
+        alias,
+        extensions,
+        vite: viteResolve.key,
+        tsconfig: tsconfig.key,
+        workspace: workspace.key,
+        styleLoadPaths: loadPaths,
+        components,
+    }));
+    const canReuseEdges = prevCache?.resolveKey === resolveKey;
+    const scanned = fileList.map((file) => relativizeId(file, projectRoot));
+    const nextCache = { version: CACHE_VERSION, resolveKey, scanned, files: {} };
+    const prevScanned = new Set(prevCache?.scanned || []);
+    const addedStems = fileList.filter((file, i) => !prevScanned.has(scanned[i])).flatMap(resolutionStems);
+    const added = { list: addedStems, set: new Set(addedStems) };
+
+    // 第二阶段：解析依赖并建边
+    const routeList = [];
+    for (const { file, key, hash, hit, extracted, external } of entries) {
+        if (external) continue;
+        const { deps, errors, symbols, globalComponents } = extracted;
+        const reuse = hit && canReuseEdges && !cachedEdgesStale(hit, files, added);
+        const { edges, globs } = reuse ? hit : resolveDeps(file, deps, resolveCtx);
+        const resolvedRoutes = resolveRoutes(file, extracted.routes, resolveCtx);
+
+        errors.forEach((error) => graph.errors.push({ file, error }));
+        if (symbols) graph.nodes[file].symbols = symbols;
+        edges.forEach(({ to, kind, dynamic, ...extra }) => {
+            addNode(to);
+            addEdge(file, to, kind, dynamic, extra);
+        });
+        // 保留 glob 原始模式，新增文件命中时同样算作影响 owner
+        globs.forEach((g) => graph.globs.push({ from: file, ...g }));
+        if (resolvedRoutes) routeList.push(...resolvedRoutes);
+        nextCache.files[key] = { hash, deps, errors, symbols, globalComponents, routes: extracted.routes, edges, globs };
+    }
+
+    // 路由节点 route:/path 指向渲染它的组件，反向遍历即可得到受影响页面
+    routeList.push(...discoverFileRoutes({ projectRoot, files: fileList }));
+    routeList.forEach(({ path: routePath, files: targets, source }) => {
+        const id = `route:${routePath}`;
+        addNode(id);
+        const node = graph.nodes[id];
+        node.sources = Array.from(new Set([...(node.sources || []), source]));
+        targets.forEach((to) => {
+            if (graph.forward[id]?.some((e) => e.to === to)) return;
+            addNode(to);
+            addEdge(id, to, 'route');
+        });
+    });
+
+    if (cache) await saveParseCache(projectRoot, nextCache);
 
     return relativizeGraph(graph);
 }
 
 function relativizeId(id, projectRoot) {
-    if (id.startsWith('pkg:')) return id;
+    if (id.startsWith('pkg:') || id.startsWith('route:')) return id;
     const absRoot = normalize(projectRoot);
     const abs = normalize(id);
     if (abs.startsWith(absRoot)) {
@@ -412,20 +603,26 @@ function relativizeGraph(graph) {
         file: er.file ? relativizeId(er.file, projectRoot) : er.file,
     }));
 
-    return { ...graph, nodes, edges, forward, reverse, errors };
+    const globs = (graph.globs || []).map((g) => ({ ...g, from: remapNode(g.from) }));
+
+    return { ...graph, nodes, edges, forward, reverse, globs, errors };
 }
 
 export async function saveGraph(graph, projectRoot = process.cwd()) {
     const outDir = path.join(projectRoot, '.code-impact');
     await ensureDir(outDir);
     const file = path.join(outDir, 'graph.txt');
-    await fsp.writeFile(file, JSON.stringify(graph, null, 2), 'utf8');
+    await writeFileAtomic(file, serializeGraph(encodeGraph(graph)));
     return file;
 }
 
-export async function loadGraph(projectRoot = process.cwd()) {
+// staleness：{ stale, reasons, headMoved, modified, missing }，调用方决定是否提示重建
+export async function loadGraph(projectRoot = process.cwd(), { checkStale = true } = {}) {
     const file = path.join(projectRoot, '.code-impact', 'graph.txt');
     const raw = await fsp.readFile(file, 'utf8');
-    return JSON.parse(raw);
+    const graph = decodeGraph(JSON.parse(raw));
+    if (checkStale) {
+        graph.staleness = await checkStaleness(graph, { projectRoot, head: getHeadCommit({ projectRoot }) });
+    }
+    return graph;
 }
-
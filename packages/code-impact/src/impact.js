@@ -1,9 +1,12 @@
 import path from 'path';
+import picomatch from 'picomatch';
 import { loadGraph, detectNodeType } from './graph.js';
+import { affectedExports, exportsTouchedByRanges } from './symbols.js';
+import { ownerPackage } from './resolvers/workspace.js';
 
 function normalizeId(p, projectRoot) {
     if (typeof p !== 'string') return p;
-    if (p.startsWith('pkg:')) return p;
+    if (p.startsWith('pkg:') || p.startsWith('route:')) return p;
     const abs = path.resolve(p);
     if (projectRoot) {
         const root = path.resolve(projectRoot);
@@ -19,14 +22,21 @@ function normalizeSet(items = [], projectRoot) {
     return new Set(items.map((p) => normalizeId(p, projectRoot)));
 }
 
-export function traverseImpact(graph, startFiles, { includeDynamic = true, depth = Infinity } = {}) {
-    const projectRoot = graph.meta?.projectRoot;
-    const seeds = normalizeSet(startFiles, projectRoot);
-    const visited = new Map();
-    const queue = [];
-    const edgeMap = new Map(); // key: from=>to
-    const seedList = Array.from(seeds);
+// 新增文件尚未进入依赖图，靠 glob 原始模式找到 owner
+function globIncoming(graph, id) {
+    if (!graph.globs?.length || id.startsWith('pkg:') || id.startsWith('route:')) return [];
+    const posix = id.split(path.sep).join('/');
+    return graph.globs
+        .filter((g) => g.from !== id && picomatch(g.pattern, { dot: true, ignore: g.ignore })(posix))
+        .filter((g) => {
+            if (!g.regex) return true;
+            const rel = `./${path.posix.relative(g.base, posix)}`;
+            return new RegExp(g.regex.source, g.regex.flags.replace('g', '')).test(rel);
+        })
+        .map((g) => ({ from: g.from, to: id, kind: 'glob', dynamic: g.dynamic, pattern: g.pattern }));
+}
 
+function buildReverse(graph) {
     // 确保有反向邻接：老版本 graph 可能没有 reverse，按 edges 构建一次
     let reverse = graph.reverse;
     if (!reverse || typeof reverse !== 'object') {
@@ -34,9 +44,22 @@ export function traverseImpact(graph, startFiles, { includeDynamic = true, depth
         (graph.edges || []).forEach((e) => {
             if (!e || !e.to || !e.from) return;
             if (!reverse[e.to]) reverse[e.to] = [];
-            reverse[e.to].push({ from: e.from, to: e.to, kind: e.kind, dynamic: e.dynamic });
+            reverse[e.to].push({ ...e });
         });
     }
+    return reverse;
+}
+
+export function traverseImpact(graph, startFiles, { includeDynamic = true, depth = Infinity } = {}) {
+    const projectRoot = graph.meta?.projectRoot;
+    const seeds = normalizeSet(startFiles, projectRoot);
+    const visited = new Map();
+    const queue = [];
+    const edgeMap = new Map(); // key: from=>to
+    const prev = new Map(); // 首次到达时的前驱，用于还原影响链路
+    const seedList = Array.from(seeds);
+
+    const reverse = buildReverse(graph);
 
     seeds.forEach((id) => {
         visited.set(id, 0);
@@ -47,7 +70,7 @@ export function traverseImpact(graph, startFiles, { includeDynamic = true, depth
         const current = queue.shift();
         const curDepth = visited.get(current);
         if (curDepth >= depth) continue;
-        const incoming = reverse[current] || [];
+        const incoming = [...(reverse[current] || []), ...(seeds.has(current) ? globIncoming(graph, current) : [])];
         for (const edge of incoming) {
             if (!includeDynamic && edge.dynamic) continue;
             const to = edge.to || current; // 旧版本 reverse 缺少 to 字段
@@ -58,6 +81,7 @@ export function traverseImpact(graph, startFiles, { includeDynamic = true, depth
             }
             if (!visited.has(next)) {
                 visited.set(next, curDepth + 1);
+                prev.set(next, current);
                 queue.push(next);
             }
         }
@@ -66,19 +90,316 @@ export function traverseImpact(graph, startFiles, { includeDynamic = true, depth
     const results = [];
     for (const [id, dist] of visited.entries()) {
         if (seeds.has(id)) continue;
-        results.push({ id, distance: dist, type: detectNodeType(id) });
+        results.push({ id, distance: dist, type: detectNodeType(id), path: chainTo(id, prev) });
     }
     results.sort((a, b) => a.distance - b.distance || a.id.localeCompare(b.id));
     return { results, edges: Array.from(edgeMap.values()), seeds: seedList };
 }
 
+// 影响结果中的路由节点：via 为链路上指向路由的组件
+export function affectedRoutes(results = []) {
+    return results
+        .filter((r) => r.type === 'route')
+        .map((r) => ({ route: r.id.slice('route:'.length), distance: r.distance, via: r.path?.[r.path.length - 2] ?? null }));
+}
+
+// 从种子到 id 的链路：[seed, ..., id]
+function chainTo(id, prev) {
+    const chain = [id];
+    let cur = id;
+    while (prev.has(cur)) {
+        cur = prev.get(cur);
+        chain.unshift(cur);
+    }
+    return chain;
+}
+
+function packageOf(id, packages) {
+    return ownerPackage(toPosix(id), packages)?.name ?? null;
+}
+
+// 正向依赖闭包：kinds 限制沿哪些边遍历，types 只过滤输出；
+// stopAtPkg 时 pkg: 节点与其他 workspace 包内的文件作为边界输出但不展开
+export function traverseDeps(graph, startFiles, { includeDynamic = true, depth = Infinity, kinds, types, stopAtPkg = false } = {}) {
+    const projectRoot = graph.meta?.projectRoot;
+    const seeds = normalizeSet(startFiles, projectRoot);
+    const seedList = Array.from(seeds);
+    const packages = stopAtPkg ? graph.meta?.packages || [] : [];
+    const seedPackages = new Set(seedList.map((id) => packageOf(id, packages)));
+    const isBoundary = (id) =>
+        stopAtPkg && (detectNodeType(id) === 'pkg' || (packages.length > 0 && !seedPackages.has(packageOf(id, packages))));
+
+    const visited = new Map();
+    const edgeMap = new Map();
+    const queue = [];
+    seeds.forEach((id) => {
+        visited.set(id, 0);
+        queue.push(id);
+    });
+
+    while (queue.length) {
+        const current = queue.shift();
+        const curDepth = visited.get(current);
+        if (curDepth >= depth) continue;
+        if (!seeds.has(current) && isBoundary(current)) continue;
+        for (const edge of graph.forward?.[current] || []) {
+            if (!includeDynamic && edge.dynamic) continue;
+            if (kinds?.length && !kinds.includes(edge.kind)) continue;
+            const key = `${current}=>${edge.to}`;
+            if (!edgeMap.has(key)) {
+                edgeMap.set(key, { from: current, to: edge.to, kind: edge.kind, dynamic: edge.dynamic });
+            }
+            if (!visited.has(edge.to)) {
+                visited.set(edge.to, curDepth + 1);
+                queue.push(edge.to);
+            }
+        }
+    }
+
+    const results = [];
+    for (const [id, dist] of visited.entries()) {
+        if (seeds.has(id)) continue;
+        const type = detectNodeType(id);
+        if (types?.length && !types.includes(type)) continue;
+        const result = { id, distance: dist, type };
+        if (isBoundary(id)) result.boundary = true;
+        results.push(result);
+    }
+    results.sort((a, b) => a.distance - b.distance || a.id.localeCompare(b.id));
+    const kept = new Set([...seedList, ...results.map((r) => r.id)]);
+    const edges = Array.from(edgeMap.values()).filter((e) => kept.has(e.from) && kept.has(e.to));
+    return { results, edges, seeds: seedList };
+}
+
+const ALL = '*';
+
+function toPosix(p) {
+    return p.split(path.sep).join('/');
+}
+
+// 导入方从一条入边收到的变更：返回 null 表示未受影响
+function incomingChange(edge, change, importerSymbols) {
+    // require / 动态 import / 样式等无绑定信息，退化为整文件
+    if (!edge.specifiers) return ALL;
+    const reexported = new Set();
+    let all = false;
+    (edge.reexports || []).forEach((r) => {
+        if (r.imported === '*' && r.exported === '*') {
+            // export * 透传除 default 外的同名导出
+            if (change === ALL) all = true;
+            else change.forEach((n) => n !== 'default' && reexported.add(n));
+        } else if (r.imported === '*' || change === ALL || change.has(r.imported)) {
+            reexported.add(r.exported);
+        }
+    });
+    if (all) return ALL;
+
+    const locals = [];
+    for (const s of edge.specifiers) {
+        if (change === ALL || s.imported === '*' || change.has(s.imported)) {
+            // 命名空间导入无法判断用到了哪些成员，退化为整文件
+            if (s.imported === '*') return ALL;
+            locals.push(s.local);
+        }
+    }
+    // 纯副作用导入：被导入模块任何变化都可能影响导入方
+    if (!edge.specifiers.length && !edge.reexports?.length) return ALL;
+    if (!locals.length && !reexported.size) return null;
+    if (!locals.length) return reexported;
+    const own = affectedExports(importerSymbols, locals, Array.from(reexported));
+    return own || ALL;
+}
+
+function mergeChange(prev, next) {
+    if (prev === ALL || next === ALL) return ALL;
+    const merged = new Set(prev || []);
+    next.forEach((n) => merged.add(n));
+    return merged;
+}
+
+function sameChange(a, b) {
+    if (a === ALL || b === ALL) return a === b;
+    return a.size === b.size && [...a].every((n) => b.has(n));
+}
+
+// 导出级影响分析：ranges 为 getChangedRanges 的结果（key 为 posix 相对路径），
+// 缺少行号或符号信息的文件退化为整文件传播
+export function traverseSymbolImpact(graph, startFiles, { ranges = {}, includeDynamic = true, depth = Infinity } = {}) {
+    const projectRoot = graph.meta?.projectRoot;
+    const seeds = normalizeSet(startFiles, projectRoot);
+    const reverse = buildReverse(graph);
+    const changes = new Map(); // id -> Set<exportName> | ALL
+    const distances = new Map();
+    const prev = new Map();
+    const edgeMap = new Map();
+    const queue = [];
+
+    seeds.forEach((id) => {
+        const symbols = graph.nodes?.[id]?.symbols;
+        const touched = exportsTouchedByRanges(symbols, ranges[toPosix(id)]);
+        changes.set(id, touched || ALL);
+        distances.set(id, 0);
+        queue.push(id);
+    });
+
+    while (queue.length) {
+        const current = queue.shift();
+        const curDepth = distances.get(current);
+        if (curDepth >= depth) continue;
+        const change = changes.get(current);
+        if (change !== ALL && change.size === 0) continue;
+        const incoming = [...(reverse[current] || []), ...(seeds.has(current) ? globIncoming(graph, current) : [])];
+        for (const edge of incoming) {
+            if (!includeDynamic && edge.dynamic) continue;
+            const next = edge.from;
+            const edgeChange = incomingChange(edge, change, graph.nodes?.[next]?.symbols);
+            if (!edgeChange) continue;
+            const key = `${edge.from}=>${current}`;
+            if (!edgeMap.has(key)) {
+                edgeMap.set(key, { from: edge.from, to: current, kind: edge.kind, dynamic: edge.dynamic });
+            }
+            const prevChange = changes.get(next);
+            const merged = mergeChange(prevChange, edgeChange);
+            if (prevChange && sameChange(prevChange, merged)) continue;
+            changes.set(next, merged);
+            if (!distances.has(next)) {
+                distances.set(next, curDepth + 1);
+                prev.set(next, current);
+            }
+            queue.push(next);
+        }
+    }
+
+    const results = [];
+    for (const [id, dist] of distances.entries()) {
+        if (seeds.has(id)) continue;
+        const change = changes.get(id);
+        results.push({
+            id,
+            distance: dist,
+            type: detectNodeType(id),
+            path: chainTo(id, prev),
+            symbols: change === ALL ? [ALL] : Array.from(change).sort(),
+        });
+    }
+    results.sort((a, b) => a.distance - b.distance || a.id.localeCompare(b.id));
+    const seedSymbols = {};
+    seeds.forEach((id) => {
+        const change = changes.get(id);
+        seedSymbols[id] = change === ALL ? [ALL] : Array.from(change).sort();
+    });
+    return { results, edges: Array.from(edgeMap.values()), seeds: Array.from(seeds), seedSymbols };
+}
+
+// 无权图最短路：removedEdges 为 from=>to 形式，返回 [{ id, edge }] 或 null
+function shortestChain(graph, reverse, source, target, { includeDynamic, removedNodes, removedEdges }) {
+    const prev = new Map([[source, null]]);
+    const queue = [source];
+    while (queue.length) {
+        const current = queue.shift();
+        if (current === target) break;
+        const incoming = [...(reverse[current] || []), ...(current === source ? globIncoming(graph, current) : [])];
+        for (const edge of incoming) {
+            if (!includeDynamic && edge.dynamic) continue;
+            const next = edge.from;
+            if (prev.has(next) || removedNodes.has(next) || removedEdges.has(`${current}=>${next}`)) continue;
+            prev.set(next, { from: next, to: edge.to || current, kind: edge.kind, dynamic: !!edge.dynamic });
+            queue.push(next);
+        }
+    }
+    if (!prev.has(target)) return null;
+    const steps = [];
+    for (let cur = target; cur !== source; cur = prev.get(cur).to) {
+        steps.unshift({ id: cur, edge: prev.get(cur) });
+    }
+    return [{ id: source, edge: null }, ...steps];
+}
+
+const chainKey = (chain) => chain.map((s) => s.id).join('\n');
+
+// 解释 changed 为什么会影响 impacted：Yen 算法求前 k 条最短影响链路，
+// 每条返回 nodes（changed -> impacted）与 edges（导入方 -> 被导入方，带 kind）
+export function findImpactPaths(graph, changed, impacted, { k = 1, includeDynamic = true } = {}) {
+    const projectRoot = graph.meta?.projectRoot;
+    const source = normalizeId(changed, projectRoot);
+    const target = normalizeId(impacted, projectRoot);
+    const reverse = buildReverse(graph);
+    const search = (from, removedNodes = new Set(), removedEdges = new Set()) =>
+        shortestChain(graph, reverse, from, target, { includeDynamic, removedNodes, removedEdges });
+
+    const first = search(source);
+    const found = first ? [first] : [];
+    const candidates = [];
+    while (found.length && found.length < k) {
+        const last = found[found.length - 1];
+        for (let i = 0; i < last.length - 1; i += 1) {
+            const root = last.slice(0, i + 1);
+            const rootKey = chainKey(root);
+            const removedEdges = new Set();
+            found.forEach((chain) => {
+                if (chain.length > i + 1 && chainKey(chain.slice(0, i + 1)) === rootKey) {
+                    removedEdges.add(`${chain[i].id}=>${chain[i + 1].id}`);
+                }
+            });
+            const removedNodes = new Set(root.slice(0, -1).map((s) => s.id));
+            const spur = search(root[i].id, removedNodes, removedEdges);
+            if (!spur) continue;
+            const chain = [...root, ...spur.slice(1)];
+            const key = chainKey(chain);
+            if (!found.some((c) => chainKey(c) === key) && !candidates.some((c) => chainKey(c) === key)) {
+                candidates.push(chain);
+            }
+        }
+        if (!candidates.length) break;
+        candidates.sort((a, b) => a.length - b.length || chainKey(a).localeCompare(chainKey(b)));
+        found.push(candidates.shift());
+    }
+
+    return {
+        from: source,
+        to: target,
+        paths: found.map((chain) => ({ nodes: chain.map((s) => s.id), edges: chain.slice(1).map((s) => s.edge) })),
+    };
+}
+
+// 删除或重命名文件的导入方：旧路径在 baseGraph（旧路径仍在当前图中时用当前图）里的直接引用方，
+// 且该文件仍存在、没有改为引用新路径。这类文件多半已无法编译，单独标记为高风险；
+// 本次同样修改过且已无解析失败引用的导入方视为已修复
+export function findBrokenImporters(graph, entries = [], { baseGraph } = {}) {
+    const projectRoot = graph.meta?.projectRoot;
+    const touched = new Set(entries.map((e) => normalizeId(e.path, projectRoot)));
+    const fixed = (id) => touched.has(id) && !(graph.forward?.[id] || []).some((edge) => edge.unresolved);
+    const broken = [];
+    entries
+        .filter((e) => e.status === 'D' || e.status === 'R')
+        .forEach((e) => {
+            const removed = normalizeId(e.oldPath ?? e.path, projectRoot);
+            const renamedTo = e.status === 'R' ? normalizeId(e.path, projectRoot) : null;
+            const source = graph.nodes?.[removed] ? graph : baseGraph;
+            if (!source) return;
+            const importers = new Set((buildReverse(source)[removed] || []).map((edge) => edge.from));
+            importers.forEach((id) => {
+                if (id === removed || id === renamedTo || !graph.nodes?.[id] || fixed(id)) return;
+                if (renamedTo && (graph.forward?.[id] || []).some((edge) => edge.to === renamedTo)) return;
+                const item = { id, removed, status: e.status, severity: 'high' };
+                if (renamedTo) item.renamedTo = renamedTo;
+                broken.push(item);
+            });
+        });
+    return broken.sort((a, b) => a.id.localeCompare(b.id) || a.removed.localeCompare(b.removed));
+}
+
 export async function impactFromGraph({
     projectRoot = process.cwd(),
     files = [],
     includeDynamic = true,
     depth,
+    ranges,
 }) {
     const graph = await loadGraph(projectRoot);
+    if (ranges) {
+        return traverseSymbolImpact(graph, files, { ranges, includeDynamic, depth: depth ?? Infinity });
+    }
     return traverseImpact(graph, files, { includeDynamic, depth: depth ?? Infinity });
 }
 
@@ -1,4 +1,16 @@
 export * from './graph.js';
 export * from './impact.js';
 export * from './git.js';
+export * from './watch.js';
+export * from './config.js';
+export * from './doctor.js';
+export * from './cycles.js';
+export * from './unused.js';
+export * from './routes.js';
+export * from './tests.js';
+export * from './packages.js';
+export * from './check.js';
+export * from './diff.js';
 
+export { registerExtractor } from './extractors/index.js';
+export { checkStaleness, GRAPH_FORMAT_VERSION } from './store.js';
@@ -0,0 +1,140 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import fg from 'fast-glob';
+import { CONFIG_FILES, DEFAULT_TEST_GLOBS } from './config.js';
+import { loadWorkspacePackages, readJson, readWorkspacePatterns } from './resolvers/workspace.js';
+
+const CONFIG_NAME = 'code-impact.config.mjs';
+
+// 按优先级识别：元框架先于视图库
+const FRAMEWORKS = [
+    ['next', 'next'],
+    ['nuxt', 'nuxt'],
+    ['@sveltejs/kit', 'sveltekit'],
+    ['astro', 'astro'],
+    ['@angular/core', 'angular'],
+    ['vue', 'vue'],
+    ['svelte', 'svelte'],
+    ['react', 'react'],
+];
+
+const BUNDLER_CONFIGS = {
+    vite: ['vite.config.ts', 'vite.config.mts', 'vite.config.js', 'vite.config.mjs', 'vite.config.cjs'],
+    webpack: ['webpack.config.js', 'webpack.config.cjs', 'webpack.config.mjs'],
+    rollup: ['rollup.config.ts', 'rollup.config.mjs', 'rollup.config.js', 'rollup.config.cjs'],
+};
+
+// 元框架的约定目录与入口
+const FRAMEWORK_LAYOUT = {
+    next: {
+        roots: ['src', 'app', 'pages', 'components', 'lib'],
+        entries: ['{src/,}pages/**/*.{js,jsx,ts,tsx,mdx}', '{src/,}app/**/{page,layout,route}.{js,jsx,ts,tsx}'],
+    },
+    nuxt: {
+        roots: ['pages', 'components', 'layouts', 'composables', 'plugins', 'middleware', 'utils', 'server'],
+        entries: ['app.vue', 'pages/**/*.vue'],
+    },
+    sveltekit: { roots: ['src'], entries: ['src/routes/**/+*.{svelte,js,ts}'] },
+    astro: { roots: ['src'], entries: ['src/pages/**/*.{astro,md,mdx,js,ts}'] },
+};
+
+const DEFAULT_ENTRIES = ['index.html', 'src/main.{ts,js,tsx,jsx}', 'src/index.{ts,js,tsx,jsx}'];
+
+export async function detectProject(projectRoot) {
+    // monorepo 中框架通常声明在应用包里，根与各 workspace 包的依赖一并参与识别
+    const packages = await loadWorkspacePackages({ projectRoot });
+    const manifests = [readJson(path.join(projectRoot, 'package.json')) || {}, ...packages.map((p) => p.manifest)];
+    const deps = Object.assign({}, ...manifests.flatMap((m) => [m.peerDependencies, m.devDependencies, m.dependencies]));
+    // 根目录与各 workspace 包目录（相对项目根，带结尾 /）
+    const bases = ['', ...packages.map((p) => `${path.relative(projectRoot, p.dir).split(path.sep).join('/')}/`).filter((b) => b !== '/')];
+    const has = (name) => Object.prototype.hasOwnProperty.call(deps, name);
+    const exists = (rel) => fs.existsSync(path.join(projectRoot, rel));
+
+    const framework = FRAMEWORKS.find(([dep]) => has(dep))?.[1] || null;
+    let bundler = null;
+    let bundlerConfig = null;
+    for (const [name, candidates] of Object.entries(BUNDLER_CONFIGS)) {
+        const found = candidates.find(exists);
+        if (found || has(name)) {
+            bundler = name;
+            bundlerConfig = found || null;
+            break;
+        }
+    }
+    if (!bundler && ['next', 'nuxt'].includes(framework)) bundler = framework;
+
+    const layout = FRAMEWORK_LAYOUT[framework];
+    const roots = (layout?.roots || ['src']).filter((r) => exists(r));
+    // monorepo：每个 workspace 包的 src，以及包内存在的元框架约定目录
+    readWorkspacePatterns(projectRoot)
+        .filter((p) => !p.startsWith('!'))
+        .forEach((p) => roots.push(`${p.replace(/\/+$/, '')}/src`));
+    bases.slice(1).forEach((base) => {
+        (layout?.roots || []).filter((r) => r !== 'src' && exists(`${base}${r}`)).forEach((r) => roots.push(`${base}${r}`));
+    });
+
+    // 元框架按目录约定写 glob，其余写实际存在的入口文件
+    const entries = [];
+    for (const base of bases) {
+        for (const pattern of layout?.entries || DEFAULT_ENTRIES) {
+            const matched = await fg([`${base}${pattern}`], { cwd: projectRoot, ignore: ['**/node_modules/**'] });
+            if (!matched.length) continue;
+            if (layout) entries.push(`${base}${pattern}`);
+            else entries.push(...matched.sort());
+        }
+    }
+
+    return { framework, bundler, bundlerConfig, roots, entries, hasTsconfig: exists('tsconfig.json') || exists('jsconfig.json') };
+}
+
+function literal(value) {
+    if (Array.isArray(value)) return `[${value.map(literal).join(', ')}]`;
+    if (value && typeof value === 'object') {
+        const body = Object.entries(value).map(([k, v]) => `${/^[A-Za-z_$][\w$]*$/.test(k) ? k : `'${k}'`}: ${literal(v)}`);
+        return body.length ? `{ ${body.join(', ')} }` : '{}';
+    }
+    return typeof value === 'string' ? `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'` : String(value);
+}
+
+export function renderConfig(detected) {
+    const resolvers = {};
+    if (detected.bundlerConfig) resolvers[detected.bundler] = detected.bundlerConfig;
+    // 没有 tsconfig paths 时保留 Vite/Vue 常见的 @ -> src
+    const alias = !detected.hasTsconfig && ['vue', 'vite'].some((n) => [detected.framework, detected.bundler].includes(n)) ? { '@': 'src' } : {};
+    const summary = [detected.framework && `框架 ${detected.framework}`, detected.bundler && `打包工具 ${detected.bundler}`].filter(Boolean);
+    return `// code-impact 配置，由 code-impact init 生成${summary.length ? `（检测到${summary.join('，')}）` : ''}
+export default {
+    // 扫描的源码目录，支持 glob
+    roots: ${literal(detected.roots)},
+    // 入口文件，unused 等分析以此为起点
+    entries: ${literal(detected.entries)},
+    // 测试文件，同样作为可达性分析的起点
+    tests: ${literal(DEFAULT_TEST_GLOBS)},
+    // 额外纳入 / 排除的文件（相对项目根的 glob）
+    include: [],
+    exclude: [],
+    // 路径别名，tsconfig paths 与打包配置中的别名会自动读取
+    alias: ${literal(alias)},
+    // 解析时补全的扩展名，留空使用默认值
+    // extensions: ['.ts', '.tsx', '.js', '.jsx', '.vue'],
+    // 指定打包配置路径，或设为 false 关闭对应解析器（webpack / vite / tsconfig / workspace）
+    resolvers: ${literal(resolvers)},
+    // 不作为影响分析种子的文件
+    ignoreSeeds: ['**/*.md'],
+    // 架构约束，由 code-impact check 检查
+    // rules: [{ name: 'components-no-pages', from: 'src/components/**', to: 'src/pages/**' }],
+};
+`;
+}
+
+export async function initConfig({ projectRoot = process.cwd(), force = false } = {}) {
+    const file = path.join(projectRoot, CONFIG_NAME);
+    const existing = CONFIG_FILES.map((name) => path.join(projectRoot, name)).find((f) => fs.existsSync(f));
+    if (existing && (!force || existing !== file)) {
+        throw new Error(`配置文件已存在: ${existing}${existing === file ? '，如需覆盖请加 --force' : ''}`);
+    }
+    const detected = await detectProject(projectRoot);
+    await fsp.writeFile(file, renderConfig(detected), 'utf8');
+    return { file, detected };
+}
@@ -0,0 +1,84 @@
+import path from 'path';
+import { loadWorkspacePackages, ownerPackage, readRootPackage } from './resolvers/workspace.js';
+
+// 包之间通过这些字段建立依赖，devDependencies 不影响发布产物
+const DEP_FIELDS = ['dependencies', 'peerDependencies'];
+
+function toPosix(p) {
+    return p.split(path.sep).join('/');
+}
+
+// 受影响包按依赖关系分层：同层之间无依赖，可并行构建；存在环时剩余的包放在最后一层
+function topoLevels(names, depsOf) {
+    const pending = new Set(names);
+    const levels = [];
+    while (pending.size) {
+        const level = Array.from(pending)
+            .filter((name) => !depsOf(name).some((dep) => pending.has(dep)))
+            .sort();
+        if (!level.length) {
+            levels.push({ names: Array.from(pending).sort(), cycle: true });
+            break;
+        }
+        level.forEach((name) => pending.delete(name));
+        levels.push({ names: level, cycle: false });
+    }
+    return levels;
+}
+
+// impact 为 traverseImpact 的结果；返回受影响的 workspace 包及其拓扑顺序
+export async function findAffectedPackages({ seeds = [], results = [] }, { projectRoot = process.cwd(), packages } = {}) {
+    const root = path.resolve(projectRoot);
+    const workspacePackages = packages || (await loadWorkspacePackages({ projectRoot }));
+    // 根应用不是 workspace 包时作为兜底归属
+    const withRoot = workspacePackages.some((p) => path.resolve(p.dir) === root) ? workspacePackages : [...workspacePackages, readRootPackage(root)];
+    const list = withRoot.map((p) => ({ ...p, rel: toPosix(path.relative(root, p.dir)) }));
+    // 文件归属：最近的 package.json
+    const ownerOf = (id) => ownerPackage(path.resolve(root, id), list);
+    const byName = new Map(list.map((p) => [p.name, p]));
+    const depsOf = (name) =>
+        DEP_FIELDS.flatMap((field) => Object.keys(byName.get(name)?.manifest[field] || {})).filter((dep) => byName.has(dep) && dep !== name);
+    const dependents = new Map();
+    list.forEach((p) => depsOf(p.name).forEach((dep) => dependents.set(dep, [...(dependents.get(dep) || []), p.name])));
+
+    const affected = new Map(); // name -> { reason, via }
+    const mark = (name, reason, via) => {
+        if (!affected.has(name)) affected.set(name, { reason, via });
+    };
+    seeds.forEach((id) => {
+        const owner = ownerOf(id);
+        if (owner) mark(owner.name, 'changed', id);
+    });
+    results
+        .filter((r) => r.type === 'code' || r.type === 'style' || r.type === 'asset')
+        .forEach((r) => {
+            const owner = ownerOf(r.id);
+            if (owner) mark(owner.name, 'imports', r.path?.[0] ?? null);
+        });
+
+    // 沿 dependencies / peerDependencies 找出下游包
+    const queue = Array.from(affected.keys());
+    while (queue.length) {
+        const name = queue.shift();
+        (dependents.get(name) || []).forEach((dependent) => {
+            if (affected.has(dependent)) return;
+            mark(dependent, 'dependent', name);
+            queue.push(dependent);
+        });
+    }
+
+    const levels = topoLevels(Array.from(affected.keys()), depsOf);
+    const result = levels.flatMap(({ names, cycle }, level) =>
+        names.map((name) => {
+            const { reason, via } = affected.get(name);
+            const item = { name, dir: byName.get(name).rel || '.', reason, via, level };
+            if (cycle) item.cycle = true;
+            return item;
+        })
+    );
+    return {
+        packages: result,
+        order: result.map((p) => p.name),
+        levels: levels.map((l) => l.names),
+    };
+}
@@ -0,0 +1,60 @@
+import os from 'os';
+import { Worker } from 'worker_threads';
+
+const WORKER_FILE = new URL('./extractors/worker.js', import.meta.url);
+const BATCH_SIZE = 32;
+// 每个 worker 启动需加载解析器，文件太少时多开线程反而更慢
+const MIN_FILES_PER_WORKER = 50;
+
+export function defaultPoolSize() {
+    return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+}
+
+export function effectivePoolSize(requested, taskCount) {
+    const size = Number.isFinite(requested) && requested > 0 ? Math.floor(requested) : defaultPoolSize();
+    return Math.max(1, Math.min(size, Math.ceil(taskCount / MIN_FILES_PER_WORKER)));
+}
+
+// 任务分批派发给空闲 worker，结果按任务下标写回，顺序与单线程一致
+export function runExtractPool(tasks, size) {
+    if (!tasks.length) return Promise.resolve([]);
+    return new Promise((resolve, reject) => {
+        const results = new Array(tasks.length);
+        const workers = [];
+        let next = 0;
+        let done = 0;
+        let settled = false;
+
+        const finish = (err) => {
+            if (settled) return;
+            settled = true;
+            workers.forEach((w) => w.terminate());
+            if (err) reject(err);
+            else resolve(results);
+        };
+        const dispatch = (worker) => {
+            if (next >= tasks.length) return;
+            const start = next;
+            next = Math.min(tasks.length, next + BATCH_SIZE);
+            worker.postMessage({ start, tasks: tasks.slice(start, next) });
+        };
+
+        for (let i = 0; i < Math.min(size, tasks.length); i += 1) {
+            const worker = new Worker(WORKER_FILE);
+            workers.push(worker);
+            worker.on('message', ({ start, results: batch }) => {
+                batch.forEach((r, j) => {
+                    results[start + j] = r;
+                });
+                done += batch.length;
+                if (done === tasks.length) finish();
+                else dispatch(worker);
+            });
+            worker.on('error', finish);
+            worker.on('exit', (code) => {
+                if (code !== 0) finish(new Error(`解析线程异常退出 (code ${code})`));
+            });
+            dispatch(worker);
+        }
+    });
+}
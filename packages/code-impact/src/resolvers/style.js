@@ -0,0 +1,70 @@
+import fs from 'fs';
+import path from 'path';
+import { applyViteAlias } from './vite.js';
+
+const SASS_EXTS = ['.sass', '.scss', '.css'];
+
+function fileExists(p) {
+    try {
+        return fs.statSync(p).isFile();
+    } catch {
+        return false;
+    }
+}
+
+// Sass 的查找顺序：显式扩展名 -> 各扩展名的 partial/非 partial -> 目录 index
+function sassCandidates(base) {
+    const dir = path.dirname(base);
+    const name = path.basename(base);
+    if (SASS_EXTS.includes(path.extname(base))) {
+        return [base, path.join(dir, `_${name}`)];
+    }
+    const list = [];
+    SASS_EXTS.forEach((ext) => list.push(path.join(dir, `_${name}${ext}`), path.join(dir, `${name}${ext}`)));
+    SASS_EXTS.forEach((ext) => list.push(path.join(base, `_index${ext}`), path.join(base, `index${ext}`)));
+    return list;
+}
+
+// Less 无扩展名时补 .less
+function lessCandidates(base) {
+    return path.extname(base) ? [base] : [`${base}.less`, base, `${base}.css`];
+}
+
+function applyAlias(spec, { projectRoot, alias, viteAlias }) {
+    const replaced = applyViteAlias(spec, viteAlias);
+    if (replaced) return path.isAbsolute(replaced) ? replaced : path.resolve(projectRoot, replaced);
+    const key = Object.keys(alias || {})
+        .sort((a, b) => b.length - a.length)
+        .find((k) => spec === k || spec.startsWith(`${k}/`));
+    if (!key) return null;
+    return path.resolve(projectRoot, alias[key], spec.slice(key.length).replace(/^\/+/, ''));
+}
+
+// 返回解析后的绝对路径，失败返回 null
+export function resolveStyleImport(spec, fromFile, syntax, ctx) {
+    const { projectRoot, loadPaths = [], workspace } = ctx;
+    const candidatesOf = syntax === 'less' ? lessCandidates : syntax === 'css' ? (base) => [base] : sassCandidates;
+    const bases = [];
+
+    if (spec.startsWith('~')) {
+        // ~package/path：webpack 时代的 node_modules 前缀，workspace 包指向本地目录
+        const rest = spec.slice(1);
+        const pkg = workspace?.packages.find((p) => rest === p.name || rest.startsWith(`${p.name}/`));
+        if (pkg) bases.push(path.join(pkg.dir, rest.slice(pkg.name.length)));
+        const aliased = applyAlias(rest, ctx);
+        if (aliased) bases.push(aliased);
+    } else if (spec.startsWith('/')) {
+        bases.push(path.join(projectRoot, spec));
+    } else {
+        bases.push(path.resolve(path.dirname(fromFile), spec));
+        loadPaths.forEach((lp) => bases.push(path.resolve(projectRoot, lp, spec)));
+        const aliased = applyAlias(spec, ctx);
+        if (aliased) bases.push(aliased);
+    }
+
+    for (const base of bases) {
+        const found = candidatesOf(base).find(fileExists);
+        if (found) return found;
+    }
+    return null;
+}
@@ -0,0 +1,211 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import fg from 'fast-glob';
+import picomatch from 'picomatch';
+
+const CONFIG_NAMES = ['tsconfig.json', 'jsconfig.json'];
+const IGNORE_GLOBS = ['**/node_modules/**', '**/dist/**', '**/.git/**', '**/.code-impact/**'];
+
+// tsconfig 允许注释与尾逗号，先清理再交给 JSON.parse
+function parseJsonc(text) {
+    let out = '';
+    let inString = false;
+    for (let i = 0; i < text.length; i += 1) {
+        const ch = text[i];
+        const next = text[i + 1];
+        if (inString) {
+            out += ch;
+            if (ch === '\\') {
+                out += next ?? '';
+                i += 1;
+            } else if (ch === '"') {
+                inString = false;
+            }
+            continue;
+        }
+        if (ch === '"') {
+            inString = true;
+            out += ch;
+        } else if (ch === '/' && next === '/') {
+            while (i < text.length && text[i] !== '\n') i += 1;
+            out += '\n';
+        } else if (ch === '/' && next === '*') {
+            i += 2;
+            while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) i += 1;
+            i += 1;
+        } else {
+            out += ch;
+        }
+    }
+    return JSON.parse(out.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+function resolveConfigPath(spec, fromDir) {
+    if (spec.startsWith('.') || path.isAbsolute(spec)) {
+        const abs = path.resolve(fromDir, spec);
+        if (fs.existsSync(abs) && fs.statSync(abs).isDirectory()) return path.join(abs, 'tsconfig.json');
+        if (!fs.existsSync(abs) && !abs.endsWith('.json')) return `${abs}.json`;
+        return abs;
+    }
+    // extends 指向 npm 包，例如 @vue/tsconfig/tsconfig.dom.json
+    const req = createRequire(path.join(fromDir, 'noop.js'));
+    for (const cand of [spec, `${spec}/tsconfig.json`, `${spec}.json`]) {
+        try {
+            return req.resolve(cand);
+        } catch {
+            // try next
+        }
+    }
+    return null;
+}
+
+function toAbsGlobs(list, dir) {
+    return list.map((p) => {
+        const abs = path.resolve(dir, p).split(path.sep).join('/');
+        // 不含通配符且无扩展名时视为目录
+        return /[*?{]/.test(p) || path.extname(p) ? abs : `${abs}/**/*`;
+    });
+}
+
+function readConfig(file, cache, seen = new Set()) {
+    if (cache.has(file)) return cache.get(file);
+    if (seen.has(file) || !fs.existsSync(file)) return null;
+    seen.add(file);
+
+    let raw;
+    try {
+        raw = parseJsonc(fs.readFileSync(file, 'utf8'));
+    } catch {
+        return null;
+    }
+    const dir = path.dirname(file);
+    const config = { file, dir, baseUrl: undefined, paths: undefined, pathsBase: dir, include: undefined, exclude: undefined, files: undefined, references: [] };
+
+    const parents = Array.isArray(raw.extends) ? raw.extends : raw.extends ? [raw.extends] : [];
+    for (const spec of parents) {
+        const parentFile = resolveConfigPath(spec, dir);
+        const parent = parentFile ? readConfig(parentFile, cache, seen) : null;
+        if (!parent) continue;
+        ['baseUrl', 'paths', 'pathsBase', 'include', 'exclude', 'files'].forEach((key) => {
+            if (parent[key] !== undefined) config[key] = parent[key];
+        });
+    }
+
+    const opts = raw.compilerOptions || {};
+    if (opts.baseUrl !== undefined) config.baseUrl = path.resolve(dir, opts.baseUrl);
+    if (opts.paths) {
+        config.paths = opts.paths;
+        config.pathsBase = dir;
+    }
+    if (Array.isArray(raw.include)) config.include = toAbsGlobs(raw.include, dir);
+    if (Array.isArray(raw.exclude)) config.exclude = toAbsGlobs(raw.exclude, dir);
+    if (Array.isArray(raw.files)) config.files = raw.files.map((f) => path.resolve(dir, f));
+    config.references = (raw.references || [])
+        .map((r) => (r?.path ? resolveConfigPath(r.path, dir) : null))
+        .filter(Boolean);
+
+    cache.set(file, config);
+    return config;
+}
+
+function ownsFile(config, file) {
+    const posix = file.split(path.sep).join('/');
+    if (config.files?.includes(file)) return true;
+    const include = config.include || (config.files ? [] : toAbsGlobs(['**/*'], config.dir));
+    if (!include.length || !picomatch(include, { dot: true })(posix)) return false;
+    return !(config.exclude?.length && picomatch(config.exclude, { dot: true })(posix));
+}
+
+// solution 风格的 tsconfig 通过 references 把文件交给子工程
+function pickProject(config, file, cache, depth = 0) {
+    if (depth > 8) return config;
+    for (const ref of config.references) {
+        const sub = readConfig(ref, cache);
+        if (sub && ownsFile(sub, file)) return pickProject(sub, file, cache, depth + 1);
+    }
+    return config;
+}
+
+function matchPaths(spec, paths) {
+    if (Object.prototype.hasOwnProperty.call(paths, spec)) {
+        return { targets: paths[spec], star: '' };
+    }
+    let best = null;
+    Object.keys(paths).forEach((pattern) => {
+        const idx = pattern.indexOf('*');
+        if (idx === -1) return;
+        const prefix = pattern.slice(0, idx);
+        const suffix = pattern.slice(idx + 1);
+        if (spec.length < prefix.length + suffix.length) return;
+        if (!spec.startsWith(prefix) || !spec.endsWith(suffix)) return;
+        if (best && best.prefix.length >= prefix.length) return;
+        best = { prefix, targets: paths[pattern], star: spec.slice(prefix.length, spec.length - suffix.length) };
+    });
+    return best;
+}
+
+export async function loadTsconfigResolve({ projectRoot }) {
+    const configFiles = await fg([`**/{tsconfig,jsconfig}*.json`], {
+        cwd: projectRoot,
+        absolute: true,
+        ignore: IGNORE_GLOBS,
+    });
+    configFiles.sort();
+    const key = configFiles
+        .map((f) => `${path.relative(projectRoot, f)}:${fs.readFileSync(f, 'utf8')}`)
+        .join('\n');
+
+    const cache = new Map();
+    const nearest = new Map(); // dir -> config | null
+    const root = path.resolve(projectRoot);
+
+    const findNearest = (dir) => {
+        if (nearest.has(dir)) return nearest.get(dir);
+        let found = null;
+        for (const name of CONFIG_NAMES) {
+            const cand = path.join(dir, name);
+            if (fs.existsSync(cand)) {
+                found = readConfig(cand, cache);
+                if (found) break;
+            }
+        }
+        const parent = path.dirname(dir);
+        if (!found && dir !== root && parent !== dir && dir.startsWith(root)) {
+            found = findNearest(parent);
+        }
+        nearest.set(dir, found);
+        return found;
+    };
+
+    // 返回候选基础路径（不含扩展名探测），按 paths 声明的回退顺序排列
+    const resolve = (spec, fromFile) => {
+        if (spec.startsWith('.') || path.isAbsolute(spec)) return [];
+        const nearestConfig = findNearest(path.dirname(fromFile));
+        if (!nearestConfig) return [];
+        const config = pickProject(nearestConfig, fromFile, cache);
+        const candidates = [];
+        if (config.paths) {
+            const matched = matchPaths(spec, config.paths);
+            if (matched) {
+                const base = config.baseUrl || config.pathsBase;
+                (matched.targets || []).forEach((t) => {
+                    candidates.push(path.resolve(base, t.replace('*', matched.star)));
+                });
+            }
+        }
+        if (config.baseUrl) candidates.push(path.resolve(config.baseUrl, spec));
+        return candidates;
+    };
+
+    // spec 是否命中 paths 映射（用于区分解析失败的别名与普通 npm 包）
+    const matchesPaths = (spec, fromFile) => {
+        if (spec.startsWith('.') || path.isAbsolute(spec)) return false;
+        const nearestConfig = findNearest(path.dirname(fromFile));
+        if (!nearestConfig) return false;
+        const { paths } = pickProject(nearestConfig, fromFile, cache);
+        return !!(paths && matchPaths(spec, paths));
+    };
+
+    return { resolve, matchesPaths, key, configs: configFiles };
+}
@@ -0,0 +1,178 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const CANDIDATES = [
+    'vite.config.ts',
+    'vite.config.mts',
+    'vite.config.cts',
+    'vite.config.js',
+    'vite.config.mjs',
+    'vite.config.cjs',
+    'rollup.config.ts',
+    'rollup.config.mjs',
+    'rollup.config.js',
+    'rollup.config.cjs',
+];
+
+// 函数式配置 defineConfig(({ mode }) => ...) 以 build 场景调用，与 vite build 默认的 mode 一致
+const CONFIG_ENV = { command: 'build', mode: 'production', isSsrBuild: false, isPreview: false };
+
+// vite 会为配置文件注入 __dirname/__filename，编译产物里补齐
+function injectDirname(code, filePath) {
+    const lines = [];
+    if (!/\b(?:const|let|var|function)\s+__dirname\b/.test(code)) {
+        lines.push(`const __dirname = ${JSON.stringify(path.dirname(filePath))};`);
+    }
+    if (!/\b(?:const|let|var|function)\s+__filename\b/.test(code)) {
+        lines.push(`const __filename = ${JSON.stringify(filePath)};`);
+    }
+    return `${lines.join('\n')}\n${code}`;
+}
+
+// typescript 是可选的 peerDependency，只有 TS / 非 module 包里的 ESM 配置需要
+async function loadTypescript(filePath) {
+    try {
+        return (await import('typescript')).default;
+    } catch {
+        throw new Error(`加载 ${path.basename(filePath)} 需要安装 typescript`);
+    }
+}
+
+async function transpile(code, filePath, { commonjs = false } = {}) {
+    const ts = await loadTypescript(filePath);
+    const out = ts.transpileModule(code, {
+        fileName: filePath,
+        compilerOptions: {
+            module: commonjs ? ts.ModuleKind.CommonJS : ts.ModuleKind.ESNext,
+            target: ts.ScriptTarget.ES2020,
+            esModuleInterop: true,
+        },
+    });
+    return out.outputText;
+}
+
+// 编译到配置文件同目录的临时文件，保证相对路径与 node_modules 解析不变
+async function importTranspiled(filePath) {
+    const ext = path.extname(filePath);
+    const commonjs = ext === '.cts' || ext === '.cjs';
+    const raw = await fsp.readFile(filePath, 'utf8');
+    let code = await transpile(raw, filePath, { commonjs });
+    if (!commonjs) code = injectDirname(code, filePath);
+    const tmp = `${filePath}.timestamp-${Date.now()}.${commonjs ? 'cjs' : 'mjs'}`;
+    await fsp.writeFile(tmp, code, 'utf8');
+    try {
+        const mod = await import(pathToFileURL(tmp).href);
+        return mod?.default ?? mod;
+    } finally {
+        await fsp.rm(tmp, { force: true });
+    }
+}
+
+async function importConfig(filePath) {
+    const ext = path.extname(filePath);
+    if (['.ts', '.mts', '.cts'].includes(ext)) return importTranspiled(filePath);
+    try {
+        const mod = await import(pathToFileURL(filePath).href);
+        return mod?.default ?? mod;
+    } catch (err) {
+        // 非 module 包里的 ESM 写法 vite.config.js
+        if (ext === '.js') return importTranspiled(filePath);
+        throw err;
+    }
+}
+
+function toReplacement(replacement, root) {
+    if (typeof replacement !== 'string') return null;
+    // '/src' 这类写法在 vite 中相对项目根
+    if (path.isAbsolute(replacement) && !fs.existsSync(replacement)) {
+        return path.join(root, replacement);
+    }
+    return path.resolve(root, replacement);
+}
+
+function normalizeAliasEntries(alias, root) {
+    if (!alias) return [];
+    if (Array.isArray(alias)) {
+        return alias
+            .filter((a) => a && (typeof a.find === 'string' || a.find instanceof RegExp))
+            .map((a) => ({ find: a.find, replacement: a.find instanceof RegExp ? a.replacement : toReplacement(a.replacement, root) }))
+            .filter((a) => typeof a.replacement === 'string');
+    }
+    return Object.keys(alias)
+        .sort((a, b) => b.length - a.length)
+        .map((find) => ({ find, replacement: toReplacement(alias[find], root) }))
+        .filter((a) => a.replacement);
+}
+
+// @rollup/plugin-alias 不暴露 entries，用同步 thenable 调用其 resolveId 拿到替换结果
+function pluginAliasEntry(plugin) {
+    const ctx = { resolve: () => ({ then: (fn) => fn(null) }) };
+    return {
+        resolve(spec) {
+            try {
+                const res = plugin.resolveId.call(ctx, spec, undefined, {});
+                return typeof res?.id === 'string' ? res.id : null;
+            } catch {
+                return null;
+            }
+        },
+    };
+}
+
+function collectPluginAliases(plugins = []) {
+    return plugins
+        .flat(Infinity)
+        .filter((p) => p && p.name === 'alias' && typeof p.resolveId === 'function')
+        .map(pluginAliasEntry);
+}
+
+export async function loadViteResolve({ projectRoot, viteConfig }) {
+    const base = viteConfig
+        ? path.resolve(projectRoot, viteConfig)
+        : CANDIDATES.map((c) => path.join(projectRoot, c)).find((p) => fs.existsSync(p));
+
+    if (!base || !fs.existsSync(base)) {
+        return { alias: [], roots: [], key: '' };
+    }
+
+    const key = `${base}:${fs.readFileSync(base, 'utf8')}`;
+    try {
+        let config = await importConfig(base);
+        if (typeof config === 'function') config = await config(CONFIG_ENV);
+        config = await config;
+        const list = Array.isArray(config) ? config : [config];
+        const alias = [];
+        const roots = [];
+        list.forEach((c) => {
+            if (!c) return;
+            const root = c.root ? path.resolve(path.dirname(base), c.root) : path.dirname(base);
+            roots.push(root);
+            alias.push(...normalizeAliasEntries(c.resolve?.alias, root));
+            alias.push(...collectPluginAliases(c.plugins));
+        });
+        return { alias, roots, key };
+    } catch (err) {
+        return { alias: [], roots: [], key, error: { file: base, error: `读取配置失败: ${err.message}` } };
+    }
+}
+
+// 按 vite 规则应用别名，返回替换后的路径或 null
+export function applyViteAlias(spec, entries = []) {
+    for (const entry of entries) {
+        if (entry.resolve) {
+            const res = entry.resolve(spec);
+            if (res) return res;
+            continue;
+        }
+        const { find, replacement } = entry;
+        if (find instanceof RegExp) {
+            find.lastIndex = 0;
+            if (find.test(spec)) return spec.replace(find, replacement);
+        } else if (spec === find || spec.startsWith(`${find}/`)) {
+            return replacement + spec.slice(find.length);
+        }
+    }
+    return null;
+}
@@ -0,0 +1,179 @@
+import fs from 'fs';
+import path from 'path';
+import fg from 'fast-glob';
+
+const IGNORE_GLOBS = ['**/node_modules/**', '**/dist/**', '**/.git/**', '**/.code-impact/**'];
+
+// 优先取源码入口，其次 ESM，最后 CJS 与类型声明
+const CONDITIONS = ['source', 'import', 'module', 'browser', 'development', 'default', 'require', 'node', 'types'];
+// 构建产物目录不参与扫描，指向这些目录的入口先映射回 src/ 下的同名源码
+const BUILD_DIRS = ['dist', 'lib', 'build', 'es', 'esm', 'cjs'];
+const BUILD_EXT_RE = /(\.d)?\.(mjs|cjs|js|ts|mts|cts)$/;
+
+export function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+// 只解析 pnpm-workspace.yaml 中的 packages 列表
+function readPnpmWorkspace(projectRoot) {
+    const file = path.join(projectRoot, 'pnpm-workspace.yaml');
+    if (!fs.existsSync(file)) return [];
+    const patterns = [];
+    let inPackages = false;
+    fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach((line) => {
+        const trimmed = line.replace(/#.*$/, '').trimEnd();
+        if (!trimmed.trim()) return;
+        if (/^\S/.test(trimmed)) {
+            inPackages = /^packages\s*:/.test(trimmed);
+            return;
+        }
+        const m = inPackages && trimmed.match(/^\s*-\s*(.+)$/);
+        if (m) patterns.push(m[1].trim().replace(/^['"]|['"]$/g, ''));
+    });
+    return patterns;
+}
+
+export function readWorkspacePatterns(projectRoot) {
+    const manifest = readJson(path.join(projectRoot, 'package.json')) || {};
+    const fromPkg = Array.isArray(manifest.workspaces) ? manifest.workspaces : manifest.workspaces?.packages || [];
+    return [...fromPkg, ...readPnpmWorkspace(projectRoot)];
+}
+
+export async function loadWorkspacePackages({ projectRoot }) {
+    const patterns = readWorkspacePatterns(projectRoot);
+    if (!patterns.length) return [];
+    const include = patterns.filter((p) => !p.startsWith('!')).map((p) => `${p.replace(/\/+$/, '')}/package.json`);
+    const exclude = patterns.filter((p) => p.startsWith('!')).map((p) => `${p.slice(1).replace(/\/+$/, '')}/package.json`);
+    const files = await fg(include, { cwd: projectRoot, absolute: true, ignore: [...IGNORE_GLOBS, ...exclude] });
+    return files
+        .sort()
+        .map((file) => ({ file, manifest: readJson(file) }))
+        .filter((p) => p.manifest?.name)
+        .map(({ file, manifest }) => ({ name: manifest.name, dir: path.dirname(file), manifest }));
+}
+
+export const ROOT_PACKAGE = '(root)';
+
+// 项目根的 package.json；不在任何 workspace 包内的文件归属于它，未命名时记为 (root)
+export function readRootPackage(projectRoot) {
+    const manifest = readJson(path.join(projectRoot, 'package.json')) || {};
+    return { name: manifest.name || ROOT_PACKAGE, dir: path.resolve(projectRoot), manifest, root: true };
+}
+
+// 文件所属的 workspace 包：目录最长匹配。id 与 p.dir 同为绝对路径，或同为相对项目根的 posix 路径（根目录为 '' 或 '.'）
+export function ownerPackage(id, packages) {
+    // pkg: / route: 节点不是文件
+    if (/^(pkg|route):/.test(id)) return null;
+    let owner = null;
+    let ownerLength = -1;
+    packages.forEach((p) => {
+        const dir = p.dir === '.' ? '' : p.dir;
+        const inside = dir === '' || id === dir || id.startsWith(`${dir}/`) || id.startsWith(`${dir}${path.sep}`);
+        if (inside && dir.length > ownerLength) {
+            owner = p;
+            ownerLength = dir.length;
+        }
+    });
+    return owner;
+}
+
+// 收集 exports 条件对象中的所有目标，按 CONDITIONS 优先级排列
+function collectTargets(value, out = []) {
+    if (typeof value === 'string') {
+        out.push(value);
+    } else if (Array.isArray(value)) {
+        value.forEach((v) => collectTargets(v, out));
+    } else if (value && typeof value === 'object') {
+        const keys = Object.keys(value);
+        const ordered = [...CONDITIONS.filter((c) => keys.includes(c)), ...keys.filter((k) => !CONDITIONS.includes(k))];
+        ordered.forEach((k) => collectTargets(value[k], out));
+    }
+    return out;
+}
+
+function matchExports(exportsField, subpath) {
+    const isSubpathMap =
+        exportsField && typeof exportsField === 'object' && !Array.isArray(exportsField) && Object.keys(exportsField).some((k) => k.startsWith('.'));
+    const map = isSubpathMap ? exportsField : { '.': exportsField };
+
+    if (Object.prototype.hasOwnProperty.call(map, subpath)) {
+        return collectTargets(map[subpath]);
+    }
+    let best = null;
+    Object.keys(map).forEach((key) => {
+        const star = key.indexOf('*');
+        if (star !== -1) {
+            const prefix = key.slice(0, star);
+            const suffix = key.slice(star + 1);
+            if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= prefix.length + suffix.length) {
+                if (!best || prefix.length > best.prefix.length) {
+                    best = { prefix, key, rest: subpath.slice(prefix.length, subpath.length - suffix.length), star: true };
+                }
+            }
+        } else if (key.endsWith('/') && subpath.startsWith(key)) {
+            // 旧式目录映射 "./lib/": "./src/lib/"
+            if (!best || key.length > best.prefix.length) {
+                best = { prefix: key, key, rest: subpath.slice(key.length), star: false };
+            }
+        }
+    });
+    if (!best) return [];
+    return collectTargets(map[best.key]).map((t) => (best.star ? t.split('*').join(best.rest) : t + best.rest));
+}
+
+// dist/index.js -> src/index，扩展名由调用方探测
+function toSourceCandidate(dir, target) {
+    const rel = path.relative(dir, target).split(path.sep);
+    if (rel.length < 2 || !BUILD_DIRS.includes(rel[0])) return null;
+    return path.join(dir, 'src', ...rel.slice(1)).replace(BUILD_EXT_RE, '');
+}
+
+// 源码候选在前，构建产物只在找不到源码时使用
+function preferSource(dir, candidates) {
+    const sources = [];
+    const built = [];
+    candidates.forEach((c) => {
+        const source = toSourceCandidate(dir, c);
+        if (source) {
+            sources.push(source);
+            built.push(c);
+        } else {
+            sources.push(c);
+        }
+    });
+    return Array.from(new Set([...sources, ...built]));
+}
+
+export async function loadWorkspaceResolve({ projectRoot }) {
+    const packages = await loadWorkspacePackages({ projectRoot });
+    const byName = [...packages].sort((a, b) => b.name.length - a.name.length);
+    const key = packages.map((p) => `${p.name}:${p.dir}:${JSON.stringify(p.manifest)}`).join('\n');
+
+    // 返回候选路径（按优先级），由调用方探测扩展名
+    const resolve = (spec) => {
+        const pkg = byName.find((p) => spec === p.name || spec.startsWith(`${p.name}/`));
+        if (!pkg) return [];
+        const rest = spec.slice(pkg.name.length).replace(/^\/+/, '');
+        const subpath = rest ? `./${rest}` : '.';
+        const { manifest, dir } = pkg;
+        const candidates = [];
+        if (manifest.exports !== undefined) {
+            matchExports(manifest.exports, subpath).forEach((t) => candidates.push(path.resolve(dir, t)));
+        }
+        if (subpath === '.') {
+            ['module', 'main', 'types', 'typings'].forEach((field) => {
+                if (typeof manifest[field] === 'string') candidates.push(path.resolve(dir, manifest[field]));
+            });
+            candidates.push(path.join(dir, 'src', 'index'), path.join(dir, 'index'));
+        } else {
+            candidates.push(path.resolve(dir, rest));
+        }
+        return preferSource(dir, candidates);
+    };
+
+    return { resolve, packages, key };
+}
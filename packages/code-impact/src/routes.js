@@ -0,0 +1,96 @@
+import path from 'path';
+import { readJson } from './resolvers/workspace.js';
+
+// 基于目录约定的路由：Next.js pages/ 与 app/、Nuxt pages/
+const NEXT_PAGE_EXTS = ['.js', '.jsx', '.ts', '.tsx', '.mdx'];
+// app/ 下对同级及子级路由生效的特殊文件
+const NEXT_APP_SHARED = ['layout', 'template', 'loading', 'error', 'not-found'];
+const NEXT_APP_ROUTES = ['page', 'route'];
+
+export function detectRouteFramework(projectRoot) {
+    const manifest = readJson(path.join(projectRoot, 'package.json')) || {};
+    const deps = { ...manifest.devDependencies, ...manifest.dependencies };
+    if (deps.next) return 'next';
+    if (deps.nuxt || deps.nuxt3) return 'nuxt';
+    return null;
+}
+
+function toRoutePath(segments) {
+    return `/${segments.filter(Boolean).join('/')}`;
+}
+
+function posixRel(dir, file) {
+    return path.relative(dir, file).split(path.sep).join('/');
+}
+
+function underDir(files, dir) {
+    return files.filter((f) => f.startsWith(`${dir}${path.sep}`));
+}
+
+function nextPagesRoutes(pagesDir, files) {
+    const pages = underDir(files, pagesDir).filter((f) => NEXT_PAGE_EXTS.includes(path.extname(f)));
+    // _app / _document 包裹所有页面（API 路由除外）
+    const shared = pages.filter((f) => /^_(app|document)\.[^/]+$/.test(posixRel(pagesDir, f)));
+    return pages
+        .filter((f) => !/(^|\/)_[^/]+$/.test(posixRel(pagesDir, f)))
+        .map((f) => {
+            const segments = posixRel(pagesDir, f).replace(/\.[^./]+$/, '').split('/');
+            if (segments[segments.length - 1] === 'index') segments.pop();
+            const files = segments[0] === 'api' ? [f] : [f, ...shared];
+            return { path: toRoutePath(segments), files, source: 'next-pages' };
+        });
+}
+
+function nextAppRoutes(appDir, files) {
+    const inApp = underDir(files, appDir).filter((f) => NEXT_PAGE_EXTS.includes(path.extname(f)));
+    const baseName = (f) => path.basename(f, path.extname(f));
+    const sharedByDir = new Map();
+    inApp
+        .filter((f) => NEXT_APP_SHARED.includes(baseName(f)))
+        .forEach((f) => sharedByDir.set(path.dirname(f), [...(sharedByDir.get(path.dirname(f)) || []), f]));
+
+    return inApp
+        .filter((f) => NEXT_APP_ROUTES.includes(baseName(f)))
+        .map((f) => {
+            const dirs = posixRel(appDir, path.dirname(f)).split('/').filter((d) => d && d !== '.');
+            // (group) 路由组与 @slot 并行路由不出现在 URL 中
+            const segments = dirs.filter((d) => !/^\(.*\)$/.test(d) && !d.startsWith('@'));
+            const shared = [];
+            for (let dir = path.dirname(f); dir.startsWith(appDir); dir = path.dirname(dir)) {
+                shared.unshift(...(sharedByDir.get(dir) || []));
+            }
+            return { path: toRoutePath(segments), files: [...shared, f], source: 'next-app' };
+        });
+}
+
+function nuxtRoutes(pagesDir, files, appFile) {
+    const pages = underDir(files, pagesDir).filter((f) => path.extname(f) === '.vue');
+    const pageSet = new Set(pages);
+    return pages.map((f) => {
+        const segments = posixRel(pagesDir, f).replace(/\.vue$/, '').split('/');
+        // pages/parent.vue 是 pages/parent/*.vue 的父路由
+        const parents = segments.slice(0, -1).map((_, i) => path.join(pagesDir, `${segments.slice(0, i + 1).join('/')}.vue`)).filter((p) => pageSet.has(p));
+        if (segments[segments.length - 1] === 'index') segments.pop();
+        return { path: toRoutePath(segments), files: [...(appFile ? [appFile] : []), ...parents, f], source: 'nuxt' };
+    });
+}
+
+// files 为扫描到的绝对路径；返回 [{ path, files, source }]
+export function discoverFileRoutes({ projectRoot, files, framework = detectRouteFramework(projectRoot) }) {
+    const root = path.resolve(projectRoot);
+    const fileSet = new Set(files);
+    const firstDir = (candidates) => candidates.map((c) => path.join(root, c)).find((d) => files.some((f) => f.startsWith(`${d}${path.sep}`)));
+    const routes = [];
+    if (framework === 'next') {
+        const pagesDir = firstDir(['src/pages', 'pages']);
+        const appDir = firstDir(['src/app', 'app']);
+        if (pagesDir) routes.push(...nextPagesRoutes(pagesDir, files));
+        if (appDir) routes.push(...nextAppRoutes(appDir, files));
+    } else if (framework === 'nuxt') {
+        // Nuxt 4 默认 srcDir 为 app/
+        const srcDir = firstDir(['app/pages']) ? path.join(root, 'app') : root;
+        const appFile = path.join(srcDir, 'app.vue');
+        routes.push(...nuxtRoutes(path.join(srcDir, 'pages'), files, fileSet.has(appFile) ? appFile : null));
+    }
+    return routes;
+}
@@ -0,0 +1,164 @@
+import fsp from 'fs/promises';
+import path from 'path';
+
+// 磁盘格式：节点 id 统一进字符串表，边只存一份（下标 + kind 下标），
+// forward/reverse 在加载时重建。旧版（无 version）为整图 JSON。
+export const GRAPH_FORMAT_VERSION = 2;
+
+function createTable() {
+    const list = [];
+    const index = new Map();
+    const intern = (value) => {
+        if (!index.has(value)) {
+            index.set(value, list.length);
+            list.push(value);
+        }
+        return index.get(value);
+    };
+    return { list, intern };
+}
+
+function pickExtra(obj, omit) {
+    const extra = {};
+    Object.keys(obj).forEach((k) => {
+        if (!omit.includes(k) && obj[k] !== undefined) extra[k] = obj[k];
+    });
+    return Object.keys(extra).length ? extra : null;
+}
+
+export function encodeGraph(graph) {
+    const strings = createTable();
+    const kinds = createTable();
+    const nodes = Object.values(graph.nodes || {}).map((n) => {
+        const extra = pickExtra(n, ['id', 'type']);
+        const row = [strings.intern(n.id), n.type];
+        if (extra) row.push(extra);
+        return row;
+    });
+    const edges = (graph.edges || []).map((e) => {
+        const extra = pickExtra(e, ['from', 'to', 'kind', 'dynamic']);
+        const row = [strings.intern(e.from), strings.intern(e.to), kinds.intern(e.kind), e.dynamic ? 1 : 0];
+        if (extra) row.push(extra);
+        return row;
+    });
+    const globs = (graph.globs || []).map(({ from, ...rest }) => ({ from: strings.intern(from), ...rest }));
+    return {
+        version: GRAPH_FORMAT_VERSION,
+        meta: graph.meta || {},
+        kinds: kinds.list,
+        globs,
+        errors: graph.errors || [],
+        strings: strings.list,
+        nodes,
+        edges,
+    };
+}
+
+function withAdjacency(graph) {
+    const forward = {};
+    const reverse = {};
+    graph.edges.forEach(({ from, to, ...rest }) => {
+        if (!forward[from]) forward[from] = [];
+        forward[from].push({ to, ...rest });
+        if (!reverse[to]) reverse[to] = [];
+        reverse[to].push({ from, to, ...rest });
+    });
+    return { ...graph, forward, reverse };
+}
+
+function decodeV2(data) {
+    const { strings, kinds } = data;
+    const nodes = {};
+    data.nodes.forEach(([idx, type, extra]) => {
+        const id = strings[idx];
+        nodes[id] = { id, type, ...(extra || {}) };
+    });
+    const edges = data.edges.map(([from, to, kind, dynamic, extra]) => ({
+        from: strings[from],
+        to: strings[to],
+        kind: kinds[kind],
+        dynamic: !!dynamic,
+        ...(extra || {}),
+    }));
+    const globs = (data.globs || []).map(({ from, ...rest }) => ({ from: strings[from], ...rest }));
+    return withAdjacency({ meta: data.meta || {}, nodes, edges, globs, errors: data.errors || [] });
+}
+
+// v1：pretty JSON，edges 之外还冗余存了 forward/reverse，统一按 edges 重建
+function migrateV1(data) {
+    return withAdjacency({
+        meta: data.meta || {},
+        nodes: data.nodes || {},
+        edges: (data.edges || []).filter((e) => e && e.from && e.to),
+        globs: data.globs || [],
+        errors: data.errors || [],
+    });
+}
+
+export function decodeGraph(data) {
+    if (!data || typeof data !== 'object') throw new Error('依赖图文件内容无效');
+    if (data.version === undefined) return migrateV1(data);
+    if (data.version === GRAPH_FORMAT_VERSION) return decodeV2(data);
+    throw new Error(`不支持的依赖图格式版本 ${data.version}，请升级 code-impact 或重新运行 build-graph`);
+}
+
+// 每个节点/边一行，保持 JSON 可读且 diff 友好
+export function serializeGraph(data) {
+    const rows = (list) => (list.length ? `[\n${list.map((r) => JSON.stringify(r)).join(',\n')}\n]` : '[]');
+    const fields = Object.entries(data).map(([key, value]) => {
+        const body = ['strings', 'nodes', 'edges'].includes(key) ? rows(value) : JSON.stringify(value);
+        return `${JSON.stringify(key)}:${body}`;
+    });
+    return `{${fields.join(',\n')}}\n`;
+}
+
+// 先写临时文件再 rename，避免读到写了一半的图
+export async function writeFileAtomic(file, content) {
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fsp.writeFile(tmp, content, 'utf8');
+    try {
+        await fsp.rename(tmp, file);
+    } catch (err) {
+        await fsp.rm(tmp, { force: true });
+        throw err;
+    }
+}
+
+const STALE_SAMPLE = 20;
+
+// 源文件比 generatedAt 新、文件已删除或 HEAD 已移动都视为过期
+export async function checkStaleness(graph, { projectRoot = process.cwd(), head } = {}) {
+    const generatedAt = Date.parse(graph.meta?.generatedAt || '');
+    const reasons = [];
+    const headMoved = !!(graph.meta?.head && head && graph.meta.head !== head);
+    if (headMoved) reasons.push(`HEAD 已从 ${graph.meta.head.slice(0, 8)} 移动到 ${head.slice(0, 8)}`);
+
+    const modified = [];
+    const missing = [];
+    if (Number.isFinite(generatedAt)) {
+        const ids = Object.values(graph.nodes || {})
+            .filter((n) => n.type !== 'pkg' && !n.id.includes(':'))
+            .map((n) => n.id);
+        await Promise.all(
+            ids.map(async (id) => {
+                try {
+                    const st = await fsp.stat(path.resolve(projectRoot, id));
+                    if (st.mtimeMs > generatedAt) modified.push(id);
+                } catch {
+                    missing.push(id);
+                }
+            })
+        );
+        modified.sort();
+        missing.sort();
+        if (modified.length) reasons.push(`${modified.length} 个文件在生成后被修改`);
+        if (missing.length) reasons.push(`${missing.length} 个文件已不存在`);
+    }
+    return {
+        stale: reasons.length > 0,
+        reasons,
+        headMoved,
+        modified: modified.slice(0, STALE_SAMPLE),
+        missing: missing.slice(0, STALE_SAMPLE),
+    };
+}
@@ -0,0 +1,166 @@
+// 模块级符号分析：记录顶层声明的行号范围、声明名、引用名与导出映射，
+// 供导出级影响分析把变更行映射到具体导出。
+
+const DEFAULT_LOCAL = '*default*';
+
+function patternNames(node, out = []) {
+    if (!node) return out;
+    switch (node.type) {
+        case 'Identifier':
+            out.push(node.name);
+            break;
+        case 'ObjectPattern':
+            node.properties.forEach((p) => patternNames(p.type === 'RestElement' ? p.argument : p.value, out));
+            break;
+        case 'ArrayPattern':
+            node.elements.forEach((el) => patternNames(el, out));
+            break;
+        case 'RestElement':
+            patternNames(node.argument, out);
+            break;
+        case 'AssignmentPattern':
+            patternNames(node.left, out);
+            break;
+        default:
+            break;
+    }
+    return out;
+}
+
+function declarationNames(decl) {
+    if (!decl) return [];
+    if (decl.type === 'VariableDeclaration') {
+        return decl.declarations.flatMap((d) => patternNames(d.id));
+    }
+    if (decl.id?.type === 'Identifier') return [decl.id.name];
+    return [];
+}
+
+function collectRefs(node, out = new Set()) {
+    const stack = [node];
+    while (stack.length) {
+        const cur = stack.pop();
+        if (!cur || typeof cur !== 'object') continue;
+        if ((cur.type === 'Identifier' || cur.type === 'JSXIdentifier') && cur.name) out.add(cur.name);
+        for (const key of Object.keys(cur)) {
+            if (key === 'parent' || key === 'loc' || key === 'range') continue;
+            const child = cur[key];
+            if (Array.isArray(child)) child.forEach((c) => stack.push(c));
+            else if (child && typeof child === 'object') stack.push(child);
+        }
+    }
+    return out;
+}
+
+function lines(node) {
+    return { start: node.loc.start.line, end: node.loc.end.line };
+}
+
+export function collectModuleSymbols(ast) {
+    const decls = [];
+    const exports = {};
+
+    for (const stmt of ast.body || []) {
+        if (!stmt.loc) continue;
+        const decl = { ...lines(stmt), names: [], refs: [] };
+
+        if (stmt.type === 'ImportDeclaration') {
+            decl.names = (stmt.specifiers || []).map((s) => s.local.name);
+        } else if (stmt.type === 'ExportAllDeclaration') {
+            // export * 的具体名字取决于被导出模块，改动即视为整文件变更
+            decl.all = true;
+        } else if (stmt.type === 'ExportNamedDeclaration') {
+            if (stmt.declaration) {
+                decl.names = declarationNames(stmt.declaration);
+                decl.names.forEach((n) => {
+                    exports[n] = n;
+                });
+                decl.refs = Array.from(collectRefs(stmt.declaration));
+            } else {
+                const exported = [];
+                (stmt.specifiers || []).forEach((s) => {
+                    const name = s.exported.name ?? s.exported.value;
+                    exported.push(name);
+                    if (!stmt.source) exports[name] = s.local.name ?? s.local.value;
+                });
+                decl.exported = exported;
+            }
+        } else if (stmt.type === 'ExportDefaultDeclaration') {
+            const named = declarationNames(stmt.declaration);
+            decl.names = named.length ? named : [DEFAULT_LOCAL];
+            exports.default = decl.names[0];
+            decl.refs = Array.from(collectRefs(stmt.declaration));
+        } else if (stmt.type === 'TSImportEqualsDeclaration') {
+            decl.names = [stmt.id.name];
+            if (stmt.isExport) exports[stmt.id.name] = stmt.id.name;
+        } else if (
+            stmt.type === 'VariableDeclaration' ||
+            stmt.type === 'FunctionDeclaration' ||
+            stmt.type === 'ClassDeclaration' ||
+            stmt.type === 'TSEnumDeclaration' ||
+            stmt.type === 'TSInterfaceDeclaration' ||
+            stmt.type === 'TSTypeAliasDeclaration' ||
+            stmt.type === 'TSModuleDeclaration'
+        ) {
+            decl.names = declarationNames(stmt);
+            decl.refs = Array.from(collectRefs(stmt));
+        } else {
+            // 顶层副作用语句
+            decl.sideEffect = true;
+            decl.refs = Array.from(collectRefs(stmt));
+        }
+        decls.push(decl);
+    }
+
+    // 只保留指向顶层名字的引用，缩小存储
+    const topLevel = new Set(decls.flatMap((d) => d.names));
+    decls.forEach((d) => {
+        d.refs = d.refs.filter((r) => topLevel.has(r) && !d.names.includes(r));
+        if (!d.refs.length) delete d.refs;
+        if (!d.names.length) delete d.names;
+    });
+    return { decls, exports };
+}
+
+// 根据变更的本地名字计算受影响的导出；返回 null 表示需退化为整文件
+export function affectedExports(symbols, changedLocals = [], directExports = []) {
+    if (!symbols) return null;
+    const affected = new Set(changedLocals);
+    let grew = true;
+    while (grew) {
+        grew = false;
+        for (const d of symbols.decls) {
+            if (!d.refs?.some((r) => affected.has(r))) continue;
+            if (d.sideEffect) return null;
+            (d.names || []).forEach((n) => {
+                if (!affected.has(n)) {
+                    affected.add(n);
+                    grew = true;
+                }
+            });
+        }
+    }
+    const out = new Set(directExports);
+    Object.entries(symbols.exports || {}).forEach(([exported, local]) => {
+        if (affected.has(local)) out.add(exported);
+    });
+    return out;
+}
+
+// 把变更行号区间映射到导出；返回 null 表示需退化为整文件
+export function exportsTouchedByRanges(symbols, ranges) {
+    if (!symbols || !ranges?.length) return null;
+    const changedLocals = [];
+    const direct = [];
+    for (const r of ranges) {
+        // 纯删除的 hunk 无法得知删掉了什么
+        if (r.end < r.start) return null;
+        for (const d of symbols.decls) {
+            if (d.end < r.start || d.start > r.end) continue;
+            if (d.all || d.sideEffect) return null;
+            changedLocals.push(...(d.names || []));
+            direct.push(...(d.exported || []));
+        }
+    }
+    return affectedExports(symbols, changedLocals, direct);
+}
@@ -0,0 +1,29 @@
+import { traverseImpact } from './impact.js';
+import { createPathMatcher, DEFAULT_GLOBAL_FILES, DEFAULT_TEST_GLOBS } from './config.js';
+
+// 根据变更文件选出需要运行的测试：测试文件本身变化，或沿反向边（含 jest.mock/vi.mock）可达。
+// 命中 globalFiles 时无法判断范围，返回全部测试（all: true）
+export function findAffectedTests(
+    graph,
+    changedFiles,
+    { projectRoot = process.cwd(), tests = DEFAULT_TEST_GLOBS, globalFiles = DEFAULT_GLOBAL_FILES, includeDynamic = true } = {}
+) {
+    const isTest = createPathMatcher(tests, projectRoot);
+    const isGlobal = createPathMatcher(globalFiles, projectRoot);
+    const allTests = Object.keys(graph.nodes || {})
+        .filter((id) => graph.nodes[id].type === 'code' && isTest(id))
+        .sort();
+
+    const { results, seeds } = traverseImpact(graph, changedFiles, { includeDynamic });
+    const globals = seeds.filter(isGlobal);
+    if (globals.length) {
+        return { all: true, globals, seeds, tests: allTests.map((id) => ({ id, distance: null, via: null })), allTests };
+    }
+
+    const selected = [
+        ...seeds.filter(isTest).map((id) => ({ id, distance: 0, via: id })),
+        ...results.filter((r) => r.type === 'code' && isTest(r.id)).map((r) => ({ id: r.id, distance: r.distance, via: r.path[0] })),
+    ];
+    selected.sort((a, b) => a.id.localeCompare(b.id));
+    return { all: false, globals, seeds, tests: selected, allTests };
+}
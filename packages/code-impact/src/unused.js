@@ -0,0 +1,95 @@
+import path from 'path';
+import { createPathMatcher } from './config.js';
+import { packageName } from './doctor.js';
+import { loadWorkspacePackages, ownerPackage, readJson } from './resolvers/workspace.js';
+
+// 声明文件（含 unplugin 生成的 components.d.ts）由编译器全局加载，不会被 import
+const ALWAYS_USED = ['**/*.d.ts'];
+
+export function reachableFrom(graph, starts, { includeDynamic = true } = {}) {
+    const seen = new Set(starts);
+    const queue = [...starts];
+    while (queue.length) {
+        const id = queue.shift();
+        (graph.forward?.[id] || []).forEach((e) => {
+            if (e.dynamic && !includeDynamic) return;
+            if (!seen.has(e.to)) {
+                seen.add(e.to);
+                queue.push(e.to);
+            }
+        });
+    }
+    return seen;
+}
+
+// 没有任何 pkg: 节点（或指向 workspace 包源码的边）引用的 dependencies
+async function findUnusedDependencies(graph, projectRoot, { includeDev }) {
+    const packages = await loadWorkspacePackages({ projectRoot });
+    const root = path.resolve(projectRoot);
+    const manifests = [{ name: null, dir: root, manifest: readJson(path.join(root, 'package.json')) }, ...packages];
+    const ownerOf = (file) => ownerPackage(path.resolve(root, file), packages)?.dir || root;
+
+    const used = new Map(); // dir -> Set<name>
+    const markUsed = (from, name) => {
+        [ownerOf(from), root].forEach((dir) => {
+            if (!used.has(dir)) used.set(dir, new Set());
+            used.get(dir).add(name);
+        });
+    };
+    (graph.edges || []).forEach((e) => {
+        if (e.to.startsWith('pkg:')) {
+            if (!e.unresolved) markUsed(e.from, packageName(e.to.slice('pkg:'.length)));
+            return;
+        }
+        const target = ownerPackage(path.resolve(root, e.to), packages);
+        if (target && ownerOf(e.from) !== target.dir) markUsed(e.from, target.name);
+    });
+
+    const fields = includeDev ? ['dependencies', 'devDependencies'] : ['dependencies'];
+    const result = [];
+    manifests.forEach(({ dir, manifest }) => {
+        if (!manifest) return;
+        const names = used.get(dir) || new Set();
+        fields.forEach((field) => {
+            Object.keys(manifest[field] || {})
+                .filter((name) => !name.startsWith('@types/') && !names.has(name))
+                .sort()
+                .forEach((name) => result.push({ name, field, manifest: path.relative(root, path.join(dir, 'package.json')) }));
+        });
+    });
+    return result;
+}
+
+// 从入口与测试文件出发沿 forward 边遍历，报告不可达的源码、样式、资源与未被引用的依赖
+export async function findUnused(graph, { projectRoot = process.cwd(), entries = [], tests = [], includeDynamic = true, includeDev = false } = {}) {
+    const ids = Object.keys(graph.nodes || {}).filter((id) => graph.nodes[id].type !== 'pkg' && !id.includes(':'));
+    const isEntry = createPathMatcher([...entries, ...tests], projectRoot);
+    const metaEntries = new Set(entries.length ? [] : graph.meta?.entries || []);
+    const starts = ids.filter((id) => isEntry(id) || metaEntries.has(id)).sort();
+    if (!starts.length) {
+        throw new Error('未找到任何入口文件，请通过 --entry 或配置文件 entries 指定');
+    }
+
+    const reachable = reachableFrom(graph, starts, { includeDynamic });
+    const keep = createPathMatcher(ALWAYS_USED, projectRoot);
+    const files = { code: [], style: [], asset: [] };
+    ids.filter((id) => !reachable.has(id) && !keep(id))
+        .sort()
+        .forEach((id) => {
+            const type = graph.nodes[id].type;
+            (files[type] || (files[type] = [])).push(id);
+        });
+
+    // 没有任何引用的不可达文件是死代码子图的源头，优先清理
+    const orphans = Object.values(files)
+        .flat()
+        .filter((id) => !(graph.reverse?.[id] || []).length)
+        .sort();
+
+    return {
+        entries: starts,
+        files,
+        orphans,
+        dependencies: await findUnusedDependencies(graph, projectRoot, { includeDev }),
+    };
+}
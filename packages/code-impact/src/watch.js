@@ -0,0 +1,111 @@
+import fs from 'fs';
+import path from 'path';
+import { buildGraph, saveGraph, scanExtensions } from './graph.js';
+import { traverseImpact } from './impact.js';
+import { getChangedFiles } from './git.js';
+
+const IGNORED_DIRS = ['node_modules', '.git', '.code-impact', 'dist', 'build', 'coverage', '.next', '.cache'];
+// 这些文件变化会影响解析配置，同样触发重建
+const CONFIG_RE = /^(package\.json|code-impact\.config\.[cm]?js(on)?|pnpm-workspace\.yaml|components\.d\.ts|(tsconfig|jsconfig)[\w.-]*\.json|(vite|rollup|webpack)\.config\.[cm]?[jt]s)$/;
+
+function isIgnored(rel) {
+    return rel.split(/[\\/]/).some((part) => IGNORED_DIRS.includes(part));
+}
+
+function impactIds(graph, projectRoot, includeDynamic) {
+    const changed = getChangedFiles({ projectRoot, range: 'HEAD' });
+    if (!changed.length) return { seeds: [], ids: new Set() };
+    const { seeds, results } = traverseImpact(graph, changed, { includeDynamic });
+    return { seeds, ids: new Set(results.map((r) => r.id)) };
+}
+
+// 首次全量构建，之后按文件事件去抖批量重建（提取结果走增量缓存），每次原子写入 graph.txt
+export async function watchGraph({
+    projectRoot = process.cwd(),
+    buildOptions = {},
+    debounce = 300,
+    impact = false,
+    includeDynamic = true,
+    onUpdate = () => {},
+    onError = () => {},
+}) {
+    const exts = new Set(scanExtensions());
+    const pending = new Set();
+    const watchers = [];
+    let timer = null;
+    let running = null;
+    let closed = false;
+    let lastImpact = null;
+
+    const rebuild = async (changed) => {
+        const started = Date.now();
+        const graph = await buildGraph({ ...buildOptions, projectRoot });
+        const file = await saveGraph(graph, projectRoot);
+        const update = { file, graph, changed, duration: Date.now() - started };
+        if (impact) {
+            const next = impactIds(graph, projectRoot, includeDynamic);
+            if (lastImpact) {
+                update.impact = {
+                    seeds: next.seeds,
+                    added: [...next.ids].filter((id) => !lastImpact.ids.has(id)).sort(),
+                    removed: [...lastImpact.ids].filter((id) => !next.ids.has(id)).sort(),
+                    total: next.ids.size,
+                };
+            } else {
+                update.impact = { seeds: next.seeds, added: [...next.ids].sort(), removed: [], total: next.ids.size };
+            }
+            lastImpact = next;
+        }
+        return update;
+    };
+
+    // 构建期间到达的事件留到本轮结束后再合并处理
+    const flush = async () => {
+        timer = null;
+        if (running || closed || !pending.size) return;
+        const changed = Array.from(pending).sort();
+        pending.clear();
+        running = rebuild(changed)
+            .then(onUpdate)
+            .catch(onError)
+            .finally(() => {
+                running = null;
+                if (pending.size) schedule();
+            });
+    };
+    const schedule = () => {
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(flush, debounce);
+    };
+
+    const onEvent = (dir) => (eventType, filename) => {
+        if (!filename) return;
+        const abs = path.resolve(dir, filename.toString());
+        const rel = path.relative(projectRoot, abs);
+        if (isIgnored(rel)) return;
+        if (!exts.has(path.extname(abs).toLowerCase()) && !CONFIG_RE.test(path.basename(abs))) return;
+        pending.add(rel.split(path.sep).join('/'));
+        schedule();
+    };
+
+    const initial = await rebuild([]);
+    onUpdate(initial);
+
+    // 源码根递归监听；项目根与包根只监听一层（index.html、配置文件）
+    const roots = (initial.graph.meta.roots || []).map((r) => path.resolve(projectRoot, r));
+    const shallow = new Set([path.resolve(projectRoot), ...roots.map((r) => path.dirname(r))]);
+    roots.forEach((dir) => watchers.push(fs.watch(dir, { recursive: true }, onEvent(dir))));
+    shallow.forEach((dir) => {
+        if (!roots.includes(dir)) watchers.push(fs.watch(dir, onEvent(dir)));
+    });
+    watchers.forEach((w) => w.on('error', onError));
+
+    return {
+        async close() {
+            closed = true;
+            if (timer) clearTimeout(timer);
+            watchers.forEach((w) => w.close());
+            if (running) await running;
+        },
+    };
+}
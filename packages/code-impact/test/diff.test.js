@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGraph } from '../src/graph.js';
+import { diffGraphs } from '../src/diff.js';
+import { createFixture, removeFixture } from './fixture.js';
+
+const PKG = JSON.stringify({ name: 'fixture', dependencies: { lodash: '^4.0.0' } });
+
+test('diffGraphs 不把无法解析的本地引用当作新增/删除的包', async (t) => {
+    const baseDir = await createFixture({
+        'package.json': PKG,
+        'src/a.ts': "import { b } from './b';\nimport { gone } from './gone';\nexport const a = b + gone;\n",
+        'src/b.ts': 'export const b = 1;\n',
+    });
+    const headDir = await createFixture({
+        'package.json': PKG,
+        'src/a.ts': "import { b } from './b';\nimport { missing } from './missing';\nimport { x } from '@/nope';\nimport get from 'lodash/get';\nexport const a = b + missing + x + get;\n",
+        'src/b.ts': 'export const b = 1;\n',
+    });
+    t.after(() => Promise.all([removeFixture(baseDir), removeFixture(headDir)]));
+
+    const build = (projectRoot) => buildGraph({ projectRoot, config: false, cache: false, workers: 1 });
+    const delta = diffGraphs(await build(baseDir), await build(headDir));
+
+    assert.deepEqual(delta.addedPackages, [{ name: 'lodash', importers: ['src/a.ts'] }]);
+    assert.deepEqual(delta.removedPackages, []);
+    assert.ok(delta.addedEdges.some((e) => e.to === 'pkg:./missing' && e.unresolved === 'relative'));
+});
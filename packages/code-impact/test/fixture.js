@@ -0,0 +1,22 @@
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// 在系统临时目录写入 { 相对路径: 内容 }，返回目录；测试结束后调用 remove 清理
+export async function createFixture(files) {
+    const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'code-impact-test-'));
+    await writeFiles(dir, files);
+    return dir;
+}
+
+export async function writeFiles(dir, files) {
+    for (const [rel, content] of Object.entries(files)) {
+        const file = path.join(dir, rel);
+        await fsp.mkdir(path.dirname(file), { recursive: true });
+        await fsp.writeFile(file, content, 'utf8');
+    }
+}
+
+export function removeFixture(dir) {
+    return fsp.rm(dir, { recursive: true, force: true });
+}
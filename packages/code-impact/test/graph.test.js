@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'fs/promises';
+import path from 'path';
+import { buildGraph } from '../src/graph.js';
+import { createFixture, removeFixture, writeFiles } from './fixture.js';
+
+function edgeList(graph) {
+    return graph.edges
+        .map(({ from, to, kind, unresolved }) => `${from} -> ${to} (${kind}${unresolved ? `, ${unresolved}` : ''})`)
+        .sort();
+}
+
+// 增量构建（复用缓存）与全量构建的节点、边应完全一致
+async function assertMatchesFull(projectRoot) {
+    const incremental = await buildGraph({ projectRoot, config: false, workers: 1 });
+    const full = await buildGraph({ projectRoot, config: false, workers: 1, cache: false });
+    assert.deepEqual(Object.keys(incremental.nodes).sort(), Object.keys(full.nodes).sort());
+    assert.deepEqual(edgeList(incremental), edgeList(full));
+    return incremental;
+}
+
+test('增量构建在根目录外的目标出现或消失后与全量构建一致', async (t) => {
+    const dir = await createFixture({
+        'package.json': JSON.stringify({ name: 'fixture' }),
+        'src/a.ts': "import { util } from '../shared/util';\nexport const a = util;\n",
+        'src/b.ts': "import { a } from './a';\nexport const b = a;\n",
+    });
+    t.after(() => removeFixture(dir));
+
+    let graph = await assertMatchesFull(dir);
+    assert.ok(edgeList(graph).includes('src/a.ts -> pkg:../shared/util (pkg, relative)'));
+
+    await writeFiles(dir, { 'shared/util.ts': 'export const util = 1;\n' });
+    graph = await assertMatchesFull(dir);
+    assert.ok(edgeList(graph).includes('src/a.ts -> shared/util.ts (import)'));
+
+    await fsp.rm(path.join(dir, 'shared/util.ts'));
+    graph = await assertMatchesFull(dir);
+    assert.ok(edgeList(graph).includes('src/a.ts -> pkg:../shared/util (pkg, relative)'));
+});
+
+test('增量构建在新增文件改变解析结果时与全量构建一致', async (t) => {
+    const dir = await createFixture({
+        'package.json': JSON.stringify({ name: 'fixture' }),
+        'src/a.ts': "import { c } from './c';\nimport { d } from './d';\nexport const a = c + d;\n",
+        'src/c/index.ts': 'export const c = 1;\n',
+        'src/d.js': 'export const d = 1;\n',
+    });
+    t.after(() => removeFixture(dir));
+
+    await assertMatchesFull(dir);
+    // ./c 改为命中 c.ts，./d 改为命中优先级更高的 d.ts
+    await writeFiles(dir, { 'src/c.ts': 'export const c = 2;\n', 'src/d.ts': 'export const d = 2;\n' });
+    const graph = await assertMatchesFull(dir);
+    assert.ok(edgeList(graph).includes('src/a.ts -> src/c.ts (import)'));
+    assert.ok(edgeList(graph).includes('src/a.ts -> src/d.ts (import)'));
+
+    await fsp.rm(path.join(dir, 'src/c.ts'));
+    await assertMatchesFull(dir);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'fs/promises';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { createFixture, removeFixture } from './fixture.js';
+
+const BIN = fileURLToPath(new URL('../bin/code-impact.js', import.meta.url));
+
+function run(cmd, args, cwd) {
+    const res = spawnSync(cmd, args, { cwd, encoding: 'utf8' });
+    if (cmd === 'git') assert.equal(res.status, 0, res.stderr);
+    return res;
+}
+
+function git(args, cwd) {
+    return run('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], cwd);
+}
+
+test('impact 在基准引用无法检出时跳过失效引用检测并继续分析', async (t) => {
+    const dir = await createFixture({
+        'package.json': JSON.stringify({ name: 'fixture' }),
+        'src/a.ts': "import { b } from './b';\nexport const a = b;\n",
+        'src/b.ts': "import { c } from './c';\nexport const b = c;\n",
+        'src/c.ts': 'export const c = 1;\n',
+    });
+    t.after(() => removeFixture(dir));
+    git(['init', '-q'], dir);
+    git(['add', '-A'], dir);
+    git(['commit', '-qm', 'base'], dir);
+    await fsp.rm(path.join(dir, 'src/c.ts'));
+    git(['commit', '-qam', 'remove c'], dir);
+    run(process.execPath, [BIN, 'build-graph'], dir);
+
+    // HEAD^! 对 git diff 有效，但不是可检出的单个引用
+    const res = run(process.execPath, [BIN, 'impact', '--git-diff', 'HEAD^!', '--format', 'json'], dir);
+    assert.equal(res.status, 0, res.stderr);
+    assert.match(res.stderr, /跳过已删除\/重命名文件的引用方检测/);
+    const output = JSON.parse(res.stdout);
+    assert.deepEqual(output.seeds, ['src/c.ts']);
+    assert.deepEqual(output.brokenImporters ?? [], []);
+});